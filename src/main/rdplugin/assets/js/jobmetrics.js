@@ -1,5 +1,7 @@
 //= require ./lib/support
+//= require ./lib/executionStats
 //= require ./lib/executionDataManager
+//= require ./lib/metricsExport
 function initJobMetrics () {
   console.log('Check if Job Metrics should be initialized')
 
@@ -7,6 +9,7 @@ function initJobMetrics () {
   if (currentUi) {
     console.log('Initializing Job Metrics')
     var jobListSupport = new JobListSupport()
+    var metricsExport = new MetricsExport()
     let dataManager;
 
     jQuery(function () {
@@ -23,42 +26,145 @@ function initJobMetrics () {
         return url
       }
 
-      function filterExecutionsByDate (executions, cutoffDate) {
-        var executionsByDate = {}
-        executions.forEach(function (execution) {
-          var dateStarted =
-            execution['date-started']?.date || execution.dateStarted
-
-          if (typeof dateStarted === 'string') {
-            var executionDate = moment(dateStarted).format('YYYY-MM-DD')
-            if (!executionsByDate[executionDate]) {
-              executionsByDate[executionDate] = []
-            }
-            executionsByDate[executionDate].push(execution)
-          }
-        })
+      // Keep executions started within an inclusive {begin, end} day range
+      function filterExecutionsByRange (executions, dateRange) {
+        var beginMoment = moment(dateRange.begin).startOf('day')
+        var endMoment = moment(dateRange.end).endOf('day')
 
         return executions.filter(function (execution) {
           var dateStarted =
             execution['date-started']?.date || execution.dateStarted
-          var executionDate = moment(dateStarted).startOf('day')
-          var cutoffMoment = moment(cutoffDate).startOf('day')
+          var executionDate = moment(dateStarted)
           return (
-            executionDate.isAfter(cutoffMoment) ||
-            executionDate.isSame(cutoffMoment, 'day')
+            executionDate.isSameOrAfter(beginMoment) &&
+            executionDate.isSameOrBefore(endMoment)
           )
         })
       }
 
+      // Ways to colour the weekday/hour heatmap, with the base colour for the highest value
+      const HEATMAP_MODES = {
+        count: { label: 'Executions', color: '40, 167, 69' },
+        failureRate: { label: 'Failure Rate', color: '255, 99, 132' },
+        avgDuration: { label: 'Avg Duration', color: '54, 162, 235' }
+      }
+
+      // A job is flagged flaky when at least this share of consecutive runs flip outcome...
+      const FLAKY_SCORE_THRESHOLD = 30
+      // ...over enough finished runs for that to mean something
+      const FLAKY_MIN_RUNS = 5
+
+      // Date range presets offered next to the rolling "last N days" window
+      const RANGE_PRESETS = {
+        window: 'Last N days',
+        today: 'Today',
+        last7: 'Last 7 days',
+        last30: 'Last 30 days',
+        thisMonth: 'This month',
+        lastMonth: 'Last month',
+        custom: 'Custom range'
+      }
+
+      // Dashboard state shared through the URL hash, e.g.
+      // #jobmetrics?range=last30&sort=failures&dir=desc&q=ops%2Fbackup
+      const DASHBOARD_HASH_PREFIX = '#jobmetrics'
+
+      // Parse a dashboard hash into a plain {key: value} object, or null if the hash isn't ours
+      function parseDashboardHash (hash) {
+        if (
+          !hash ||
+          (hash !== DASHBOARD_HASH_PREFIX &&
+            hash.indexOf(DASHBOARD_HASH_PREFIX + '?') !== 0)
+        ) {
+          return null
+        }
+        var params = new URLSearchParams(
+          hash.substring(DASHBOARD_HASH_PREFIX.length + 1)
+        )
+        var state = {}
+        params.forEach((value, key) => {
+          state[key] = value
+        })
+        return state
+      }
+
+      // Build a dashboard hash, leaving out empty values and writing true as 1
+      function buildDashboardHash (state) {
+        var params = new URLSearchParams()
+        Object.keys(state).forEach(key => {
+          var value = state[key]
+          if (value === '' || value === null || value === undefined || value === false) {
+            return
+          }
+          params.set(key, value === true ? '1' : value)
+        })
+        var query = params.toString()
+        return DASHBOARD_HASH_PREFIX + (query ? '?' + query : '')
+      }
+
+      // Human readable byte count, e.g. 1.4 MB
+      function formatBytes (bytes) {
+        if (!bytes) return '0 B'
+        var units = ['B', 'KB', 'MB', 'GB']
+        var exponent = Math.min(
+          Math.floor(Math.log(bytes) / Math.log(1024)),
+          units.length - 1
+        )
+        var value = bytes / Math.pow(1024, exponent)
+        return (exponent === 0 ? value : value.toFixed(1)) + ' ' + units[exponent]
+      }
+
+      // An object saved in localStorage as JSON, or the fallback when it's missing,
+      // corrupt or not an object, so a bad value can't stop the dashboard loading
+      function loadSavedObject (key, fallback) {
+        try {
+          var saved = JSON.parse(localStorage.getItem(key))
+          if (saved && typeof saved === 'object' && !Array.isArray(saved)) {
+            return saved
+          }
+        } catch (e) {
+          log('Ignoring unreadable saved setting', key, e.message)
+        }
+        return fallback
+      }
+
+      // Minimum time between chart redraws while jobs are still loading
+      const CHART_UPDATE_INTERVAL = 1000
+
+      // How long the text filter waits for typing to stop before applying
+      const FILTER_TEXT_DELAY = 300
+
       function GraphOptions (data) {
         var self = this
+        // Admin defaults from the plugin configuration; saved user values win
+        var defaults = (data && data.defaults) || {}
+        var defaultTimeWindow = defaults.timeWindow || 10
+
+        // Off while a shared link's state is applied, so it only changes the current view
+        var saving = true
+        function saveSetting (key, value) {
+          if (saving) {
+            localStorage.setItem(key, value)
+          }
+        }
+
+        // Apply changes to the view without saving them as this user's settings.
+        // Every saving subscriber runs synchronously, so it sees the flag while apply runs
+        self.applyWithoutSaving = function (apply) {
+          saving = false
+          try {
+            apply()
+          } finally {
+            saving = true
+          }
+        }
 
         // Initialize timeWindow with saved value or default
         const savedTimeWindow = localStorage.getItem(
           'rundeck.plugin.ui-jobmetrics.timeWindow'
         )
         self.queryMax = ko.observable(
-          savedTimeWindow ? parseInt(savedTimeWindow) : 10
+          savedTimeWindow ? parseInt(savedTimeWindow) : defaultTimeWindow
         )
 
         // Add validation and persistence for queryMax
@@ -67,7 +173,7 @@ function initJobMetrics () {
           var days = parseInt(newValue)
           if (isNaN(days) || days < 1) {
             console.log('Invalid days value. Must be a positive whole number.')
-            self.queryMax(10)
+            self.queryMax(defaultTimeWindow)
             return
           }
           // Ensure it's a whole number
@@ -79,18 +185,24 @@ function initJobMetrics () {
             return
           }
           // Save to localStorage
-          localStorage.setItem(
+          saveSetting(
             'rundeck.plugin.ui-jobmetrics.timeWindow',
             days.toString()
           )
+          // A window that isn't saved isn't passed on to ROI Summary either
+          if (dataManager) {
+            dataManager.syncRoiTimeWindow = saving
+          }
         })
 
-        // Initialize showZeroExecutions with saved value or default to false
+        // Initialize showZeroExecutions with saved value or the admin default
         const savedShowZeroExecutions = localStorage.getItem(
           'rundeck.plugin.ui-jobmetrics.showZeroExecutions'
         )
         self.showZeroExecutions = ko.observable(
-          savedShowZeroExecutions ? savedShowZeroExecutions === 'true' : false
+          savedShowZeroExecutions
+            ? savedShowZeroExecutions === 'true'
+            : defaults.showZeroExecutions === true
         )
 
         // Add persistence for showZeroExecutions
@@ -100,6 +212,635 @@ function initJobMetrics () {
             newValue.toString()
           )
         })
+
+        // Job table filters; numeric filters are off when empty
+        const savedFilters = loadSavedObject(
+          'rundeck.plugin.ui-jobmetrics.filters',
+          {}
+        )
+        // The search box waits for typing to stop; filterText itself changes at once,
+        // so setting it from code is saved (or not) right away
+        self.filterText = ko.observable(savedFilters.text || '')
+        self.filterTextInput = ko
+          .observable(self.filterText())
+          .extend({ rateLimit: { timeout: FILTER_TEXT_DELAY, method: 'notifyWhenChangesStop' } })
+        self.filterTextInput.subscribe(function (newValue) {
+          self.filterText(newValue)
+        })
+        self.filterText.subscribe(function (newValue) {
+          self.filterTextInput(newValue)
+        })
+        self.filterSuccessBelow = ko.observable(savedFilters.successBelow ?? '')
+        self.filterHasFailures = ko.observable(!!savedFilters.hasFailures)
+        self.filterNoRuns = ko.observable(!!savedFilters.noRuns)
+        self.filterSlowerThanMinutes = ko.observable(
+          savedFilters.slowerThanMinutes ?? ''
+        )
+
+        self.filters = ko.computed(function () {
+          return {
+            text: self.filterText(),
+            successBelow: self.filterSuccessBelow(),
+            hasFailures: self.filterHasFailures(),
+            noRuns: self.filterNoRuns(),
+            slowerThanMinutes: self.filterSlowerThanMinutes()
+          }
+        })
+
+        self.filters.subscribe(function (newValue) {
+          saveSetting(
+            'rundeck.plugin.ui-jobmetrics.filters',
+            JSON.stringify(newValue)
+          )
+        })
+
+        self.hasActiveFilters = ko.computed(function () {
+          var filters = self.filters()
+          return (
+            filters.text.trim() !== '' ||
+            filters.successBelow !== '' ||
+            filters.hasFailures ||
+            filters.noRuns ||
+            filters.slowerThanMinutes !== ''
+          )
+        })
+
+        self.clearFilters = function () {
+          self.filterText('')
+          self.filterSuccessBelow('')
+          self.filterHasFailures(false)
+          self.filterNoRuns(false)
+          self.filterSlowerThanMinutes('')
+        }
+
+        // SLA thresholds: a project default plus per job group path and per job ID overrides
+        // Each threshold is {minSuccessRate, maxDurationMinutes}; a null field isn't checked
+        const savedSlaThresholds = loadSavedObject(
+          'rundeck.plugin.ui-jobmetrics.slaThresholds',
+          {}
+        )
+        // A part that isn't an object, from an older or damaged value, starts empty
+        self.slaThresholds = ko.observable(
+          ['project', 'groups', 'jobs'].reduce(function (thresholds, part) {
+            var saved = savedSlaThresholds[part]
+            thresholds[part] =
+              saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {}
+            return thresholds
+          }, {})
+        )
+
+        self.slaThresholds.subscribe(function (newValue) {
+          localStorage.setItem(
+            'rundeck.plugin.ui-jobmetrics.slaThresholds',
+            JSON.stringify(newValue)
+          )
+        })
+
+        var parseThresholdValue = function (value) {
+          var number = parseFloat(value)
+          return isNaN(number) || number < 0 ? null : number
+        }
+
+        /**
+         * Set or replace a threshold
+         * @param scope 'project', 'groups' or 'jobs'
+         * @param key group path or job ID (ignored for 'project')
+         * @param threshold {minSuccessRate, maxDurationMinutes}
+         */
+        self.setSlaThreshold = function (scope, key, threshold) {
+          var thresholds = Object.assign({}, self.slaThresholds())
+          var value = {
+            minSuccessRate: parseThresholdValue(threshold.minSuccessRate),
+            maxDurationMinutes: parseThresholdValue(threshold.maxDurationMinutes)
+          }
+          if (scope === 'project') {
+            thresholds.project = value
+          } else {
+            thresholds[scope] = Object.assign({}, thresholds[scope])
+            thresholds[scope][key] = value
+          }
+          self.slaThresholds(thresholds)
+        }
+
+        self.removeSlaThreshold = function (scope, key) {
+          var thresholds = Object.assign({}, self.slaThresholds())
+          thresholds[scope] = Object.assign({}, thresholds[scope])
+          delete thresholds[scope][key]
+          self.slaThresholds(thresholds)
+        }
+
+        // Editable project defaults for the Configure modal
+        var projectThreshold = function (field) {
+          return ko.computed({
+            read: function () {
+              var value = self.slaThresholds().project[field]
+              return value === null || value === undefined ? '' : value
+            },
+            write: function (value) {
+              var threshold = Object.assign({}, self.slaThresholds().project)
+              threshold[field] = value
+              self.setSlaThreshold('project', null, threshold)
+            }
+          })
+        }
+        self.slaProjectMinSuccessRate = projectThreshold('minSuccessRate')
+        self.slaProjectMaxDurationMinutes = projectThreshold('maxDurationMinutes')
+
+        /**
+         * Effective thresholds for a job; each field comes from the job itself, else the
+         * deepest job group (or parent group) that sets it, else the project default
+         * @returns {{minSuccessRate, maxDurationMinutes, source: {minSuccessRate, maxDurationMinutes}}}
+         */
+        self.resolveSlaThreshold = function (jobId, groupPath) {
+          var thresholds = self.slaThresholds()
+          var parts = (groupPath || '').split('/').filter(part => part.length > 0)
+          var candidates = [{ threshold: thresholds.jobs[jobId], source: 'job' }]
+          for (var depth = parts.length; depth > 0; depth--) {
+            var path = parts.slice(0, depth).join('/')
+            candidates.push({ threshold: thresholds.groups[path], source: 'group ' + path })
+          }
+          candidates.push({ threshold: thresholds.project, source: 'project' })
+
+          var resolved = { minSuccessRate: null, maxDurationMinutes: null, source: {} }
+          var fields = ['minSuccessRate', 'maxDurationMinutes']
+          fields.forEach(function (field) {
+            var match = candidates.find(
+              candidate =>
+                candidate.threshold &&
+                candidate.threshold[field] !== null &&
+                candidate.threshold[field] !== undefined
+            )
+            if (match) {
+              resolved[field] = match.threshold[field]
+              resolved.source[field] = match.source
+            }
+          })
+          return resolved
+        }
+
+        // What colours the weekday/hour heatmap: 'count', 'failureRate' or 'avgDuration'
+        const savedHeatmapMode = localStorage.getItem(
+          'rundeck.plugin.ui-jobmetrics.heatmapMode'
+        )
+        self.heatmapMode = ko.observable(
+          HEATMAP_MODES[savedHeatmapMode] ? savedHeatmapMode : 'count'
+        )
+        self.heatmapModeOptions = Object.keys(HEATMAP_MODES).map(key => ({
+          value: key,
+          label: HEATMAP_MODES[key].label
+        }))
+
+        self.heatmapMode.subscribe(function (newValue) {
+          localStorage.setItem(
+            'rundeck.plugin.ui-jobmetrics.heatmapMode',
+            newValue
+          )
+        })
+
+        // What the per-job sparkline plots: 'successRate' or 'runs' per day
+        const savedSparklineMode = localStorage.getItem(
+          'rundeck.plugin.ui-jobmetrics.sparklineMode'
+        )
+        self.sparklineMode = ko.observable(
+          savedSparklineMode === 'runs' ? 'runs' : 'successRate'
+        )
+
+        self.sparklineMode.subscribe(function (newValue) {
+          localStorage.setItem(
+            'rundeck.plugin.ui-jobmetrics.sparklineMode',
+            newValue
+          )
+        })
+
+        self.toggleSparklineMode = function () {
+          self.sparklineMode(
+            self.sparklineMode() === 'runs' ? 'successRate' : 'runs'
+          )
+        }
+
+        // Show the table as a tree of job groups rather than a flat list
+        const savedGroupByJobGroup = localStorage.getItem(
+          'rundeck.plugin.ui-jobmetrics.groupByJobGroup'
+        )
+        self.groupByJobGroup = ko.observable(
+          savedGroupByJobGroup ? savedGroupByJobGroup === 'true' : true
+        )
+
+        self.groupByJobGroup.subscribe(function (newValue) {
+          localStorage.setItem(
+            'rundeck.plugin.ui-jobmetrics.groupByJobGroup',
+            newValue.toString()
+          )
+        })
+
+        // Whether aborted runs count against the success rate (default true, matching earlier releases)
+        const savedCountAbortedAsFailure = localStorage.getItem(
+          'rundeck.plugin.ui-jobmetrics.countAbortedAsFailure'
+        )
+        self.countAbortedAsFailure = ko.observable(
+          savedCountAbortedAsFailure ? savedCountAbortedAsFailure === 'true' : true
+        )
+
+        self.countAbortedAsFailure.subscribe(function (newValue) {
+          localStorage.setItem(
+            'rundeck.plugin.ui-jobmetrics.countAbortedAsFailure',
+            newValue.toString()
+          )
+        })
+
+        // Date range preset; 'window' keeps the rolling "last N days" behaviour driven by queryMax
+        const savedRangePreset = localStorage.getItem(
+          'rundeck.plugin.ui-jobmetrics.rangePreset'
+        )
+        self.rangePreset = ko.observable(
+          RANGE_PRESETS[savedRangePreset] ? savedRangePreset : 'window'
+        )
+        self.rangePresetOptions = Object.keys(RANGE_PRESETS).map(key => ({
+          value: key,
+          label: RANGE_PRESETS[key]
+        }))
+
+        self.rangePreset.subscribe(function (newValue) {
+          saveSetting(
+            'rundeck.plugin.ui-jobmetrics.rangePreset',
+            newValue
+          )
+        })
+
+        // Begin/end dates (YYYY-MM-DD) for the 'custom' preset
+        self.customBegin = ko.observable(
+          localStorage.getItem('rundeck.plugin.ui-jobmetrics.customBegin') ||
+            moment().subtract(7, 'days').format('YYYY-MM-DD')
+        )
+        self.customEnd = ko.observable(
+          localStorage.getItem('rundeck.plugin.ui-jobmetrics.customEnd') ||
+            moment().format('YYYY-MM-DD')
+        )
+
+        self.customBegin.subscribe(function (newValue) {
+          saveSetting(
+            'rundeck.plugin.ui-jobmetrics.customBegin',
+            newValue
+          )
+        })
+
+        self.customEnd.subscribe(function (newValue) {
+          saveSetting('rundeck.plugin.ui-jobmetrics.customEnd', newValue)
+        })
+
+        self.isCustomRange = ko.computed(function () {
+          return self.rangePreset() === 'custom'
+        })
+
+        // Effective {begin, end} range (YYYY-MM-DD, inclusive) for the selected preset
+        self.dateRange = ko.computed(function () {
+          var today = moment().startOf('day')
+          switch (self.rangePreset()) {
+            case 'today':
+              return { begin: today.format('YYYY-MM-DD'), end: today.format('YYYY-MM-DD') }
+            case 'last7':
+              return {
+                begin: today.clone().subtract(6, 'days').format('YYYY-MM-DD'),
+                end: today.format('YYYY-MM-DD')
+              }
+            case 'last30':
+              return {
+                begin: today.clone().subtract(29, 'days').format('YYYY-MM-DD'),
+                end: today.format('YYYY-MM-DD')
+              }
+            case 'thisMonth':
+              return {
+                begin: today.clone().startOf('month').format('YYYY-MM-DD'),
+                end: today.format('YYYY-MM-DD')
+              }
+            case 'lastMonth':
+              var lastMonth = today.clone().subtract(1, 'month')
+              return {
+                begin: lastMonth.clone().startOf('month').format('YYYY-MM-DD'),
+                end: lastMonth.clone().endOf('month').format('YYYY-MM-DD')
+              }
+            case 'custom':
+              var begin = moment(self.customBegin(), 'YYYY-MM-DD', true)
+              var end = moment(self.customEnd(), 'YYYY-MM-DD', true)
+              if (begin.isValid() && end.isValid()) {
+                // Tolerate the dates being picked in reverse order
+                return begin.isAfter(end)
+                  ? { begin: end.format('YYYY-MM-DD'), end: begin.format('YYYY-MM-DD') }
+                  : { begin: begin.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') }
+              }
+              break
+          }
+
+          // Match ROI summary date range logic - subtract days from today (including today)
+          return {
+            begin: today
+              .clone()
+              .subtract(parseInt(self.queryMax()), 'days')
+              .format('YYYY-MM-DD'),
+            end: today.format('YYYY-MM-DD')
+          }
+        })
+
+        // Explicit range to pass to the data manager, or null for the rolling window
+        // (the rolling window is also what ROI Summary understands, so it stays in sync)
+        self.requestedRange = function () {
+          return self.rangePreset() === 'window' ? null : self.dateRange()
+        }
+
+        // Number of days the effective range spans, used for the data manager's timeWindow
+        self.rangeDays = ko.computed(function () {
+          var range = self.dateRange()
+          return moment(range.end).diff(moment(range.begin), 'days') + 1
+        })
+
+        self.rangeLabel = ko.computed(function () {
+          var range = self.dateRange()
+          return range.begin === range.end
+            ? range.begin
+            : range.begin + ' \u2013 ' + range.end
+        })
+      }
+
+      // Display labels and chart colors for each tracked execution status
+      const STATUS_LABELS = {
+        succeeded: 'Succeeded',
+        failed: 'Failed',
+        aborted: 'Aborted',
+        timedout: 'Timed Out',
+        'failed-with-retry': 'Failed with Retry',
+        running: 'Running',
+        other: 'Other'
+      }
+
+      const STATUS_COLORS = {
+        succeeded: 'rgba(75, 192, 192, 0.8)',
+        failed: 'rgba(255, 99, 132, 0.8)',
+        aborted: 'rgba(201, 203, 207, 0.8)',
+        timedout: 'rgba(255, 159, 64, 0.8)',
+        'failed-with-retry': 'rgba(153, 102, 255, 0.8)',
+        running: 'rgba(54, 162, 235, 0.8)',
+        other: 'rgba(255, 205, 86, 0.8)'
+      }
+
+      // Non-zero status counts as a list for templates and charts
+      function statusBreakdown (statusCounts) {
+        return ExecutionStats.STATUSES.filter(
+          status => statusCounts[status] > 0
+        ).map(status => ({
+          status: status,
+          label: STATUS_LABELS[status],
+          count: statusCounts[status]
+        }))
+      }
+
+      /**
+       * Panel listing the executions behind a chart bucket (a day bar or a heatmap cell)
+       * Shared by the dashboard and the job page; each binds it to its own #jobMetricsDrilldown modal
+       */
+      function ExecutionDrilldown () {
+        var self = this
+
+        // Rendering thousands of rows in a modal gets slow; the rest are counted but not listed
+        self.MAX_ROWS = 500
+
+        self.title = ko.observable('')
+        self.rows = ko.observableArray([])
+        self.totalCount = ko.observable(0)
+
+        self.executionUrl = function (execution) {
+          return (
+            execution.permalink ||
+            '/project/' +
+              encodeURIComponent(rundeckPage.project()) +
+              '/execution/show/' +
+              execution.id
+          )
+        }
+
+        /**
+         * Show the panel
+         * @param title e.g. "2024-05-01" or "Tuesday 02:00"
+         * @param entries list of {jobName, execution}
+         */
+        self.open = function (title, entries) {
+          var sorted = entries.slice().sort(
+            (a, b) =>
+              (ExecutionStats.getStartTime(b.execution) || 0) -
+              (ExecutionStats.getStartTime(a.execution) || 0)
+          )
+
+          self.title(title)
+          self.totalCount(sorted.length)
+          self.rows(
+            sorted.slice(0, self.MAX_ROWS).map(function (entry) {
+              var execution = entry.execution
+              var duration = ExecutionStats.getExecutionDuration(execution)
+              var status = ExecutionStats.normalizeStatus(execution.status)
+              return {
+                jobName: entry.jobName,
+                status: status,
+                statusLabel: STATUS_LABELS[status],
+                started: moment(
+                  execution['date-started']?.date || execution.dateStarted
+                ).format('YYYY-MM-DD HH:mm:ss'),
+                duration:
+                  duration !== null ? moment.duration(duration).humanize() : '-',
+                user: execution.user || '',
+                url: self.executionUrl(execution)
+              }
+            })
+          )
+
+          jQuery('#jobMetricsDrilldown').modal('show')
+        }
+      }
+
+      // Sparkline size in SVG units
+      const SPARKLINE_WIDTH = 80
+      const SPARKLINE_HEIGHT = 20
+
+      /**
+       * SVG path for a sparkline; null values leave a gap
+       * @param values one per day
+       * @param max value drawn at the top edge
+       * @returns {string}
+       */
+      function sparklinePath (values, max) {
+        var step = values.length > 1 ? SPARKLINE_WIDTH / (values.length - 1) : 0
+        var path = ''
+        var drawing = false
+
+        values.forEach(function (value, index) {
+          if (value === null) {
+            drawing = false
+            return
+          }
+          var x = (index * step).toFixed(1)
+          // Keep a pixel of margin so flat lines at 0 or max stay visible
+          var y = (
+            SPARKLINE_HEIGHT -
+            1 -
+            (max > 0 ? value / max : 0) * (SPARKLINE_HEIGHT - 2)
+          ).toFixed(1)
+          var isolated =
+            values[index + 1] === null || values[index + 1] === undefined
+          path += (drawing ? ' L' : ' M') + x + ' ' + y
+          // A lone point gets a short stroke so it isn't invisible
+          if (!drawing && isolated) {
+            path += ' h1'
+          }
+          drawing = true
+        })
+
+        return path.trim()
+      }
+
+      // Chart option for bar charts whose bars open the drill-down; onBarClick gets the bar's label
+      function drilldownClickOptions (onBarClick) {
+        return {
+          onClick: function (event, elements, chart) {
+            if (elements.length > 0) {
+              onBarClick(chart.data.labels[elements[0].index])
+            }
+          },
+          onHover: function (event, elements) {
+            event.native.target.style.cursor =
+              elements.length > 0 ? 'pointer' : 'default'
+          }
+        }
+      }
+
+      /**
+       * Build a tree of job groups from each job's group path (e.g. "ops/backups")
+       * Jobs keep the order they are given in; jobs without a group stay on the root node
+       * @param jobs JobMetrics list
+       * @returns root node {path, name, depth, groups: {name: node}, jobs, allJobs}
+       */
+      function buildGroupTree (jobs) {
+        var root = { path: '', name: '', depth: -1, groups: {}, jobs: [], allJobs: [] }
+
+        jobs.forEach(function (job) {
+          var node = root
+          var parts = (job.group() || '').split('/').filter(part => part.length > 0)
+          parts.forEach(function (part) {
+            if (!node.groups[part]) {
+              node.groups[part] = {
+                path: node.path ? node.path + '/' + part : part,
+                name: part,
+                depth: node.depth + 1,
+                groups: {},
+                jobs: [],
+                allJobs: []
+              }
+            }
+            node = node.groups[part]
+            node.allJobs.push(job)
+          })
+          node.jobs.push(job)
+          root.allJobs.push(job)
+        })
+
+        return root
+      }
+
+      /**
+       * Rolled-up metrics for every job in a group and its subgroups
+       * Success rate pools the status counts; average duration is weighted by executions
+       */
+      function summarizeGroup (node, countAbortedAsFailure) {
+        var statusCounts = ExecutionStats.countStatuses([])
+        var executionCount = 0
+        var weightedDuration = 0
+
+        node.allJobs.forEach(function (job) {
+          var jobCounts = job.statusCounts()
+          ExecutionStats.STATUSES.forEach(status => {
+            statusCounts[status] += jobCounts[status]
+          })
+          executionCount += job.executionCount()
+          weightedDuration += job.avgDuration() * job.executionCount()
+        })
+
+        return {
+          jobCount: node.allJobs.length,
+          executionCount: executionCount,
+          successRate: ExecutionStats.calculateSuccessRate(
+            statusCounts,
+            countAbortedAsFailure
+          ),
+          failureCount: ExecutionStats.countFailures(
+            statusCounts,
+            countAbortedAsFailure
+          ),
+          avgDuration: executionCount > 0 ? weightedDuration / executionCount : 0
+        }
+      }
+
+      /**
+       * Describe the change from the previous period for display
+       * @param current
+       * @param previous null when there is nothing to compare against
+       * @param kind 'pts' for percentages, 'count' for totals, 'percent' for relative change
+       * @param higherIsBetter true/false to color the change, null when neither direction is good or bad
+       * @returns {{text: string, css: string}|null}
+       */
+      function periodDelta (current, previous, kind, higherIsBetter) {
+        if (previous === null || previous === undefined) return null
+
+        var diff = current - previous
+        var text
+        switch (kind) {
+          case 'pts':
+            diff = Math.round(diff * 10) / 10
+            text = Math.abs(diff).toFixed(1) + ' pts'
+            break
+          case 'percent':
+            if (!previous) return null
+            diff = Math.round((diff / previous) * 1000) / 10
+            text = Math.abs(diff).toFixed(1) + '%'
+            break
+          default:
+            text = Math.abs(diff).toString()
+        }
+
+        if (diff === 0) {
+          return { text: 'no change', css: 'jm-delta-flat' }
+        }
+
+        var css = 'jm-delta-neutral'
+        if (higherIsBetter !== null) {
+          css = diff > 0 === higherIsBetter ? 'jm-delta-better' : 'jm-delta-worse'
+        }
+
+        return {
+          text: (diff > 0 ? '\u25B2 ' : '\u25BC ') + text,
+          css: css
+        }
+      }
+
+      // Success rate per day, using the same status rules as the job metrics
+      function getDailySuccessRates (executions, countAbortedAsFailure) {
+        var timeData = {}
+        executions.forEach(function (execution) {
+          var date = moment(
+            execution['date-started']?.date || execution.dateStarted
+          ).format('YYYY-MM-DD')
+          if (!timeData[date]) {
+            timeData[date] = ExecutionStats.countStatuses([])
+          }
+          timeData[date][ExecutionStats.normalizeStatus(execution.status)]++
+        })
+
+        var dates = Object.keys(timeData).sort()
+        return {
+          dates: dates,
+          rates: dates.map(date =>
+            ExecutionStats.calculateSuccessRate(
+              timeData[date],
+              countAbortedAsFailure
+            )
+          )
+        }
       }
 
       function getChartThemeColors () {
@@ -127,17 +868,36 @@ function initJobMetrics () {
         log('Worker initialization failed:', err.message);
       });
 
-      function JobMetricsListView (pluginName) {
+      function JobMetricsListView (pluginName, settings) {
         var self = this
         self.project = ko.observable(rundeckPage.project())
         self.jobs = ko.observableArray([])
         self.loading = ko.observable(false)
+        // Jobs whose executions have arrived during the current load
+        self.loadedJobCount = ko.observable(0)
+        self.loadingJobCount = ko.observable(0)
+        self.loadProgressText = ko.computed(function () {
+          return (
+            'Loaded ' + self.loadedJobCount() + '/' + self.loadingJobCount() + ' jobs'
+          )
+        })
+        self.loadProgressPercent = ko.computed(function () {
+          return self.loadingJobCount() > 0
+            ? (self.loadedJobCount() / self.loadingJobCount()) * 100
+            : 0
+        })
+        self.chartUpdateTimer = null
         self.jobmap = {}
         self.successRateChart = null
-        self.timeHeatMapChart = null
+        // Per weekday/hour buckets behind the heatmap, rebuilt with the charts
+        self.weekdayHourData = ko.observable(null)
+
+        self.drilldown = new ExecutionDrilldown()
 
         // Initialize with GraphOptions
-        self.graphOptions = ko.observable(new GraphOptions())
+        self.graphOptions = ko.observable(
+          new GraphOptions({ defaults: settings })
+        )
 
         self.graphOptions().queryMax.subscribe(function (newValue) {
           // Only log in one place
@@ -148,6 +908,11 @@ function initJobMetrics () {
             })
           }
           self.graphOptions().queryMax(parseInt(newValue))
+        })
+
+        // Every range change (preset, custom dates or the rolling window) refetches
+        self.graphOptions().dateRange.subscribe(function (newValue) {
+          log('Date range changed:', newValue)
           self.refreshExecData()
         })
         
@@ -160,6 +925,21 @@ function initJobMetrics () {
           self.jobs.valueHasMutated()
         })
 
+        // Filters only change which loaded jobs are shown; redraw charts and project percentiles from them
+        self.graphOptions().filters.subscribe(function () {
+          if (self.loading()) return
+          self.createCharts()
+          self.updateProjectDurationStats()
+          self.updatePreviousProjectDurationStats()
+        })
+
+        // Success rates are computed from cached status counts, so only the charts need redrawing
+        self.graphOptions().countAbortedAsFailure.subscribe(function () {
+          if (!self.loading()) {
+            self.createCharts()
+          }
+        })
+
         // Time window for metrics
         self.timeWindow = ko.computed(function () {
           return parseInt(self.graphOptions().queryMax())
@@ -171,39 +951,125 @@ function initJobMetrics () {
         self.avgDuration = ko.observable(0)
         self.failureCount = ko.observable(0)
 
+        // Project-wide duration percentiles, computed in the worker across all listed jobs
+        self.projectDurationStats = ko.observable(
+          ExecutionStats.calculateDurationStats([])
+        )
+        self.previousProjectDurationStats = ko.observable(
+          ExecutionStats.calculateDurationStats([])
+        )
+
         self.sortField = ko.observable('name')
         self.sortDirection = ko.observable('asc')
 
-        // Computed for sorted jobs
-        self.sortedJobs = ko.computed(function () {
-          var jobs = self.jobs();
-          var sortField = self.sortField();
-          var sortDirection = self.sortDirection();
-          
-          // Filter jobs based on showZeroExecutions setting
-          var filteredJobs = jobs.filter(function(job) {
-              return job.executionCount() > 0 || self.graphOptions().showZeroExecutions();
-          });
-      
-          return filteredJobs.sort(function (a, b) {
-              var aValue, bValue;
-              switch (sortField) {
-                  case 'name':
-                      aValue = a.name().toLowerCase();
-                      bValue = b.name().toLowerCase();
-                      break;
-                  case 'executions':
-                      aValue = a.executionCount();
-                      bValue = b.executionCount();
-                      break;
-                  case 'success': // Correctly handle 'success' field
-                      aValue = a.successRate();
-                      bValue = b.successRate();
+        // Whether a job passes the table filters
+        self.jobMatchesFilters = function (job) {
+          var filters = self.graphOptions().filters()
+
+          var text = filters.text.trim().toLowerCase()
+          if (
+            text &&
+            job.name().toLowerCase().indexOf(text) === -1 &&
+            (job.group() || '').toLowerCase().indexOf(text) === -1
+          ) {
+            return false
+          }
+
+          // "No runs" picks out idle jobs, whatever the "Show Jobs With 0 Executions" setting
+          if (filters.noRuns) {
+            return job.executionCount() === 0
+          }
+          if (
+            job.executionCount() === 0 &&
+            !self.graphOptions().showZeroExecutions()
+          ) {
+            return false
+          }
+
+          var successBelow = parseFloat(filters.successBelow)
+          if (
+            !isNaN(successBelow) &&
+            !(job.executionCount() > 0 && job.successRate() < successBelow)
+          ) {
+            return false
+          }
+
+          if (filters.hasFailures && job.failureCount() === 0) {
+            return false
+          }
+
+          var slowerThanMinutes = parseFloat(filters.slowerThanMinutes)
+          if (
+            !isNaN(slowerThanMinutes) &&
+            !(job.avgDuration() > slowerThanMinutes * 60 * 1000)
+          ) {
+            return false
+          }
+
+          return true
+        }
+
+        // Jobs passing the filters; the table, summary cards and charts are all built from these
+        self.filteredJobs = ko.computed(function () {
+          return self.jobs().filter(job => self.jobMatchesFilters(job))
+        })
+
+        // Computed for sorted jobs
+        self.sortedJobs = ko.computed(function () {
+          var sortField = self.sortField();
+          var sortDirection = self.sortDirection();
+          
+          var filteredJobs = self.filteredJobs().slice();
+      
+          return filteredJobs.sort(function (a, b) {
+              var aValue, bValue;
+              switch (sortField) {
+                  case 'name':
+                      aValue = a.name().toLowerCase();
+                      bValue = b.name().toLowerCase();
+                      break;
+                  case 'executions':
+                      aValue = a.executionCount();
+                      bValue = b.executionCount();
+                      break;
+                  case 'success': // Correctly handle 'success' field
+                      aValue = a.successRate();
+                      bValue = b.successRate();
+                      break;
+                  case 'failures':
+                      aValue = a.failureCount();
+                      bValue = b.failureCount();
                       break;
                   case 'duration':
                       aValue = a.avgDuration();
                       bValue = b.avgDuration();
                       break;
+                  case 'p50':
+                  case 'p90':
+                  case 'p95':
+                  case 'p99':
+                      aValue = a.durationStats()[sortField];
+                      bValue = b.durationStats()[sortField];
+                      break;
+                  case 'currentStreak':
+                  case 'longestStreak':
+                      aValue = a.failureStreaks()[sortField];
+                      bValue = b.failureStreaks()[sortField];
+                      break;
+                  case 'mttr':
+                      // Jobs that never recovered (or never failed) sort below any recovery time
+                      aValue = a.failureStreaks().mttr ?? -Infinity;
+                      bValue = b.failureStreaks().mttr ?? -Infinity;
+                      break;
+                  case 'flakiness':
+                      aValue = a.flakiness().score;
+                      bValue = b.flakiness().score;
+                      break;
+                  case 'successDelta':
+                      // Jobs without a comparison sort below any change
+                      aValue = a.successRateDelta() ?? -Infinity;
+                      bValue = b.successRateDelta() ?? -Infinity;
+                      break;
                   default:
                       return 0; // Don't sort if the field is not recognized
               }
@@ -216,6 +1082,80 @@ function initJobMetrics () {
           });
       });
 
+        // Everything a shared link restores: range, sort and filters
+        self.dashboardState = ko.computed(function () {
+          var options = self.graphOptions()
+          var filters = options.filters()
+          var state = {
+            range: options.rangePreset(),
+            sort: self.sortField(),
+            dir: self.sortDirection(),
+            q: filters.text.trim(),
+            successBelow: filters.successBelow,
+            hasFailures: filters.hasFailures,
+            noRuns: filters.noRuns,
+            slowerThan: filters.slowerThanMinutes
+          }
+          if (state.range === 'window') {
+            state.window = options.queryMax()
+          } else if (state.range === 'custom') {
+            state.begin = options.customBegin()
+            state.end = options.customEnd()
+          }
+          return state
+        })
+
+        /**
+         * Apply state parsed from a dashboard hash. Filters missing from the
+         * hash are cleared, so the link shows what its author saw. None of it is
+         * saved, so the recipient's own settings are back on their next visit
+         * @param state from parseDashboardHash
+         */
+        self.applyDashboardState = function (state) {
+          var options = self.graphOptions()
+
+          options.applyWithoutSaving(function () {
+            var days = parseInt(state.window)
+            if (!isNaN(days) && days > 0) {
+              options.queryMax(days)
+            }
+            if (RANGE_PRESETS[state.range]) {
+              if (state.range === 'custom' && state.begin && state.end) {
+                options.customBegin(state.begin)
+                options.customEnd(state.end)
+              }
+              options.rangePreset(state.range)
+            }
+
+            if (state.sort) {
+              self.sortField(state.sort)
+              self.sortDirection(state.dir === 'desc' ? 'desc' : 'asc')
+            }
+
+            options.filterText(state.q || '')
+            options.filterSuccessBelow(state.successBelow || '')
+            options.filterHasFailures(state.hasFailures === '1')
+            options.filterNoRuns(state.noRuns === '1')
+            options.filterSlowerThanMinutes(state.slowerThan || '')
+          })
+        }
+
+        // Keep the URL hash in step with the dashboard while the metrics tab is showing
+        self.updateLocationHash = function () {
+          if (!jQuery('#jobmetricsview').hasClass('active')) {
+            return
+          }
+          history.replaceState(
+            null,
+            '',
+            buildDashboardHash(self.dashboardState())
+          )
+        }
+
+        self.dashboardState.subscribe(function () {
+          self.updateLocationHash()
+        })
+
         // Get Header Icons in table
         self.getSortIcon = function (field) {
           if (self.sortField() !== field) {
@@ -226,39 +1166,318 @@ function initJobMetrics () {
             : 'glyphicon glyphicon-sort-by-attributes-alt'
         }
 
-        // Summary metrics computed
-        self.summaryMetrics = ko.computed(function () {
-          var jobs = self.sortedJobs()
-          if (jobs.length === 0) return null
-
+        // Totals and averages across jobs for one period
+        // metricsOf(job) returns the job itself for the selected range, or job.previous for the one before
+        function summarizeJobs (jobs, metricsOf) {
           // Filter jobs to only include those with executions
-          var jobsWithExecutions = jobs.filter(job => job.executionCount() > 0)
+          var jobsWithExecutions = jobs.filter(
+            job => metricsOf(job).executionCount() > 0
+          )
+
+          var statusCounts = ExecutionStats.countStatuses([])
+          jobs.forEach(function (job) {
+            var jobCounts = metricsOf(job).statusCounts()
+            ExecutionStats.STATUSES.forEach(status => {
+              statusCounts[status] += jobCounts[status]
+            })
+          })
 
           return {
             totalJobs: jobs.length,
             totalExecutions: jobs.reduce(
-              (sum, job) => sum + job.executionCount(),
+              (sum, job) => sum + metricsOf(job).executionCount(),
               0
             ),
             avgSuccessRate:
               jobsWithExecutions.length > 0
                 ? jobsWithExecutions.reduce(
-                    (sum, job) => sum + job.successRate(),
+                    (sum, job) => sum + metricsOf(job).successRate(),
                     0
                   ) / jobsWithExecutions.length
                 : 0,
-            avgDuration:
+            // Mean of each job's mean duration within the period, comparable across periods
+            meanDuration:
               jobsWithExecutions.length > 0
                 ? jobsWithExecutions.reduce(
-                    (sum, job) => sum + job.avgDuration(),
+                    (sum, job) => sum + metricsOf(job).durationStats().mean,
                     0
                   ) / jobsWithExecutions.length
                 : 0,
-            jobsWithNoExecutions:
-              self.jobs().length - jobsWithExecutions.length
+            jobsWithExecutions: jobsWithExecutions,
+            statusCounts: statusCounts,
+            totalFailures: jobs.reduce(
+              (sum, job) => sum + metricsOf(job).failureCount(),
+              0
+            )
           }
+        }
+
+        // Expanded job group paths, persisted so each team's groups stay open between visits
+        self.expandedGroups = ko.observable(
+          loadSavedObject('rundeck.plugin.ui-jobmetrics.expandedGroups', {})
+        )
+
+        self.expandedGroups.subscribe(function (newValue) {
+          localStorage.setItem(
+            'rundeck.plugin.ui-jobmetrics.expandedGroups',
+            JSON.stringify(newValue)
+          )
         })
 
+        self.isGroupExpanded = function (path) {
+          return !!self.expandedGroups()[path]
+        }
+
+        self.toggleGroup = function (path) {
+          var expanded = Object.assign({}, self.expandedGroups())
+          if (expanded[path]) {
+            delete expanded[path]
+          } else {
+            expanded[path] = true
+          }
+          self.expandedGroups(expanded)
+        }
+
+        self.expandAllGroups = function () {
+          var expanded = {}
+          self.sortedJobs().forEach(function (job) {
+            var parts = (job.group() || '').split('/').filter(part => part.length > 0)
+            parts.forEach((part, index) => {
+              expanded[parts.slice(0, index + 1).join('/')] = true
+            })
+          })
+          self.expandedGroups(expanded)
+        }
+
+        self.collapseAllGroups = function () {
+          self.expandedGroups({})
+        }
+
+        // Sort fields that have a group rollup; groups stay in name order for the others
+        var GROUP_SORT_FIELDS = ['name', 'executions', 'success', 'failures', 'duration']
+
+        function groupSortValue (node, summary, sortField) {
+          switch (sortField) {
+            case 'executions':
+              return summary.executionCount
+            case 'success':
+              return summary.successRate
+            case 'failures':
+              return summary.failureCount
+            case 'duration':
+              return summary.avgDuration
+            default:
+              return node.name.toLowerCase()
+          }
+        }
+
+        // Rows for the table: group rows with their rollups, then the jobs directly in them
+        // Jobs keep the sortedJobs order within a group; sibling groups are sorted the same way
+        self.tableRows = ko.computed(function () {
+          var jobs = self.sortedJobs()
+          if (!self.graphOptions().groupByJobGroup()) {
+            return jobs.map(job => ({ isGroup: false, job: job, depth: 0 }))
+          }
+
+          var countAbortedAsFailure = self.graphOptions().countAbortedAsFailure()
+          var sortField = self.sortField()
+          var direction = self.sortDirection() === 'asc' ? 1 : -1
+          var rows = []
+
+          var addNode = function (node) {
+            var groups = Object.keys(node.groups).map(name => {
+              var group = node.groups[name]
+              return { node: group, summary: summarizeGroup(group, countAbortedAsFailure) }
+            })
+            var order = GROUP_SORT_FIELDS.includes(sortField) ? direction : 1
+            groups.sort(function (a, b) {
+              var aValue = groupSortValue(a.node, a.summary, sortField)
+              var bValue = groupSortValue(b.node, b.summary, sortField)
+              return aValue < bValue ? -order : aValue > bValue ? order : 0
+            })
+
+            groups.forEach(function (group) {
+              var expanded = self.isGroupExpanded(group.node.path)
+              rows.push({
+                isGroup: true,
+                path: group.node.path,
+                name: group.node.name,
+                depth: group.node.depth,
+                expanded: expanded,
+                summary: group.summary
+              })
+              if (expanded) {
+                addNode(group.node)
+              }
+            })
+
+            node.jobs.forEach(function (job) {
+              rows.push({ isGroup: false, job: job, depth: node.depth + 1 })
+            })
+          }
+
+          addNode(buildGroupTree(jobs))
+          return rows
+        })
+
+        // Summary metrics computed
+        self.summaryMetrics = ko.computed(function () {
+          var jobs = self.sortedJobs()
+          if (jobs.length === 0) return null
+
+          var summary = summarizeJobs(jobs, job => job)
+          var jobsWithExecutions = summary.jobsWithExecutions
+
+          summary.avgDuration =
+            jobsWithExecutions.length > 0
+              ? jobsWithExecutions.reduce(
+                  (sum, job) => sum + job.avgDuration(),
+                  0
+                ) / jobsWithExecutions.length
+              : 0
+          summary.jobsWithNoExecutions =
+            self.jobs().length - jobsWithExecutions.length
+
+          return summary
+        })
+
+        // Listed jobs breaching at least one SLA threshold
+        // Jobs shown with incomplete executions after the server throttled or failed requests
+        self.partialJobCount = ko.computed(function () {
+          return self.sortedJobs().filter(job => job.partialData()).length
+        })
+
+        self.slaBreachCount = ko.computed(function () {
+          return self.sortedJobs().filter(job => job.slaBreaches().length > 0)
+            .length
+        })
+
+        // SLA override editor in the Configure modal
+        self.newSlaScope = ko.observable('groups')
+        self.newSlaTarget = ko.observable()
+        self.newSlaMinSuccessRate = ko.observable('')
+        self.newSlaMaxDurationMinutes = ko.observable('')
+
+        // Job group paths (including parent groups) and jobs that overrides can target
+        self.slaTargetOptions = ko.computed(function () {
+          if (self.newSlaScope() === 'jobs') {
+            return self.jobs()
+              .map(job => ({
+                value: job.id,
+                label: (job.group() ? job.group() + '/' : '') + job.name()
+              }))
+              .sort((a, b) => a.label.localeCompare(b.label))
+          }
+
+          var paths = {}
+          self.jobs().forEach(function (job) {
+            var parts = (job.group() || '').split('/').filter(part => part.length > 0)
+            parts.forEach((part, index) => {
+              paths[parts.slice(0, index + 1).join('/')] = true
+            })
+          })
+          return Object.keys(paths)
+            .sort()
+            .map(path => ({ value: path, label: path }))
+        })
+
+        // Group and job overrides, for listing in the Configure modal
+        self.slaRules = ko.computed(function () {
+          var thresholds = self.graphOptions().slaThresholds()
+          var rules = []
+          Object.keys(thresholds.groups).sort().forEach(function (path) {
+            rules.push({
+              scope: 'groups',
+              key: path,
+              label: 'Group ' + path,
+              threshold: thresholds.groups[path]
+            })
+          })
+          Object.keys(thresholds.jobs).forEach(function (jobId) {
+            var job = self.jobmap[jobId]
+            rules.push({
+              scope: 'jobs',
+              key: jobId,
+              label: 'Job ' + (job ? job.name() : jobId),
+              threshold: thresholds.jobs[jobId]
+            })
+          })
+          return rules
+        })
+
+        self.addSlaRule = function () {
+          if (!self.newSlaTarget()) return
+          self.graphOptions().setSlaThreshold(self.newSlaScope(), self.newSlaTarget(), {
+            minSuccessRate: self.newSlaMinSuccessRate(),
+            maxDurationMinutes: self.newSlaMaxDurationMinutes()
+          })
+          self.newSlaMinSuccessRate('')
+          self.newSlaMaxDurationMinutes('')
+        }
+
+        self.removeSlaRule = function (rule) {
+          self.graphOptions().removeSlaThreshold(rule.scope, rule.key)
+        }
+
+        // Summary of the previous period, once every listed job has it loaded
+        self.previousSummaryMetrics = ko.computed(function () {
+          var jobs = self.sortedJobs()
+          if (jobs.length === 0 || !jobs.every(job => job.previous.loaded())) {
+            return null
+          }
+          return summarizeJobs(jobs, job => job.previous)
+        })
+
+        // e.g. "vs previous 10 days"
+        self.comparisonLabel = ko.computed(function () {
+          return 'vs previous ' + self.graphOptions().rangeDays() + ' days'
+        })
+
+        // Change against the previous period for a summary card, or null until it's loaded
+        self.summaryDelta = function (key) {
+          var current = self.summaryMetrics()
+          var previous = self.previousSummaryMetrics()
+          if (!current || !previous) return null
+
+          var delta
+          switch (key) {
+            case 'totalExecutions':
+              delta = periodDelta(current.totalExecutions, previous.totalExecutions, 'count', null)
+              break
+            case 'avgSuccessRate':
+              delta = periodDelta(current.avgSuccessRate, previous.avgSuccessRate, 'pts', true)
+              break
+            case 'avgDuration':
+              delta = periodDelta(current.meanDuration, previous.meanDuration, 'percent', false)
+              break
+            case 'p50':
+            case 'p90':
+            case 'p95':
+            case 'p99':
+              delta = periodDelta(
+                self.projectDurationStats()[key],
+                self.previousProjectDurationStats()[key],
+                'percent',
+                false
+              )
+              break
+            default:
+              // Executions per status; more successes is better, more of anything but running is worse
+              if (ExecutionStats.STATUSES.includes(key)) {
+                delta = periodDelta(
+                  current.statusCounts[key],
+                  previous.statusCounts[key],
+                  'count',
+                  key === 'succeeded' ? true : key === 'running' ? null : false
+                )
+              }
+          }
+
+          return delta
+            ? { text: delta.text + ' ' + self.comparisonLabel(), css: delta.css }
+            : null
+        }
+
         // Updated to use dataManager
         self.refreshExecData = function () {
           if (self.loading()) return
@@ -266,21 +1485,19 @@ function initJobMetrics () {
           self.loading(true)
           var jobs = self.jobs()
           var currentProject = self.project()
-          var completedRequests = 0
-          var timeWindow = parseInt(self.graphOptions().queryMax())
-
-          // Match ROI summary date range logic - subtract days from today (including today)
-          const beginDate = moment()
-            .startOf('day')
-            .subtract(timeWindow, 'days')
-            .format('YYYY-MM-DD')
-          const endDate = moment().endOf('day').format('YYYY-MM-DD')
+          self.loadedJobCount(0)
+          self.loadingJobCount(jobs.length)
+          jobs.forEach(job => job.loaded(false))
+          var timeWindow = self.timeWindow()
+          var dateRange = self.graphOptions().dateRange()
+          var requestedRange = self.graphOptions().requestedRange()
 
           log('Date range for executions:', {
+            preset: self.graphOptions().rangePreset(),
             timeWindow: timeWindow,
-            begin: beginDate,
-            end: endDate,
-            daysRequested: moment(endDate).diff(moment(beginDate), 'days') + 1
+            begin: dateRange.begin,
+            end: dateRange.end,
+            daysRequested: self.graphOptions().rangeDays()
           })
 
           if (!currentProject) {
@@ -289,20 +1506,16 @@ function initJobMetrics () {
             return
           }
 
-          // Use Promise.all to handle all jobs in parallel
-          const promises = jobs.map(job => 
-            dataManager.getJobExecutions(job.id, timeWindow)
+          // Rows and summary cards fill in as each job arrives; charts redraw at most once per interval
+          const loadJob = job =>
+            dataManager.getJobExecutions(job.id, timeWindow, requestedRange)
               .then(executions => {
-                if (executions && executions.length > 0) {
-                  var cutoffDate = moment()
-                    .startOf('day')
-                    .subtract(self.timeWindow(), 'days')
-                  var filteredExecutions = filterExecutionsByDate(
-                    executions,
-                    cutoffDate
-                  )
-                  job.processExecutions(filteredExecutions)
-                }
+                job.partialData(dataManager.getPartialFetch(job.id, dateRange))
+                var filteredExecutions = filterExecutionsByRange(
+                  executions || [],
+                  dateRange
+                )
+                return job.processExecutions(filteredExecutions)
               })
               .catch(error => {
                 console.error('Error fetching executions:', {
@@ -311,20 +1524,490 @@ function initJobMetrics () {
                   error: error
                 });
               })
-          );
+              .finally(() => {
+                job.loaded(true)
+                self.loadedJobCount(self.loadedJobCount() + 1)
+                self.scheduleChartUpdate()
+              })
+
+          var startedJobIds = new Set()
+          var jobLoads = []
+          const loadJobs = list => list.forEach(job => {
+            if (startedJobIds.has(job.id)) return
+            startedJobIds.add(job.id)
+            jobLoads.push(loadJob(job))
+          })
+
+          // Fill the cache with one project-wide request, then read each job from it
+          // Jobs it won't fetch are read right away instead of waiting for it;
+          // jobs the prefetch didn't cover fall back to their own requests
+          const prefetch = dataManager.prefetchProjectExecutions(
+            jobs.map(job => job.id),
+            timeWindow,
+            requestedRange,
+            bulkJobIds => loadJobs(jobs.filter(job => !bulkJobIds.includes(job.id)))
+          )
           
-          // When all jobs are processed, create the charts
-          Promise.all(promises)
+          // When all jobs are processed, draw the final charts
+          prefetch
+            .then(() => {
+              loadJobs(jobs)
+              return Promise.all(jobLoads)
+            })
             .then(() => {
+              self.cancelChartUpdate();
               self.loading(false);
               self.createCharts();
+              return self.updateProjectDurationStats();
             })
+            .then(() => self.refreshPreviousPeriod())
             .catch(error => {
               console.error('Error processing jobs:', error);
+              self.cancelChartUpdate();
               self.loading(false);
             });
         }
 
+        // Redraw charts and project percentiles from the jobs loaded so far, throttled
+        self.scheduleChartUpdate = function () {
+          if (self.chartUpdateTimer) return
+          self.chartUpdateTimer = setTimeout(function () {
+            self.chartUpdateTimer = null
+            if (!self.loading()) return
+            self.updateCharts()
+            self.updateProjectDurationStats()
+          }, CHART_UPDATE_INTERVAL)
+        }
+
+        self.cancelChartUpdate = function () {
+          clearTimeout(self.chartUpdateTimer)
+          self.chartUpdateTimer = null
+        }
+
+        // Another tab on this project refreshed some jobs' caches: re-read them from
+        // IndexedDB instead of fetching, batching bursts of updates into one redraw
+        self.pendingCacheUpdates = new Set()
+        self.cacheUpdateTimer = null
+
+        dataManager.onCacheUpdated(function (jobId, updatedRange) {
+          var dateRange = self.graphOptions().dateRange()
+          if (
+            !self.jobmap[jobId] ||
+            (updatedRange &&
+              (updatedRange.end < dateRange.begin || updatedRange.begin > dateRange.end))
+          ) {
+            return
+          }
+          self.pendingCacheUpdates.add(jobId)
+          if (!self.cacheUpdateTimer) {
+            self.cacheUpdateTimer = setTimeout(self.applyCacheUpdates, CHART_UPDATE_INTERVAL)
+          }
+        })
+
+        self.applyCacheUpdates = function () {
+          self.cacheUpdateTimer = null
+          // A load in progress reads the same cache itself
+          if (self.loading()) {
+            self.pendingCacheUpdates.clear()
+            return
+          }
+          var jobIds = Array.from(self.pendingCacheUpdates)
+          self.pendingCacheUpdates.clear()
+
+          var timeWindow = self.timeWindow()
+          var dateRange = self.graphOptions().dateRange()
+          var requestedRange = self.graphOptions().requestedRange()
+
+          Promise.all(
+            jobIds.map(jobId =>
+              dataManager
+                .getCachedExecutions(jobId, timeWindow, requestedRange)
+                .then(executions => {
+                  var job = self.jobmap[jobId]
+                  job.partialData(null)
+                  return job.processExecutions(
+                    filterExecutionsByRange(executions, dateRange)
+                  )
+                })
+            )
+          )
+            .then(() => {
+              self.createCharts()
+              return self.updateProjectDurationStats()
+            })
+            .catch(error => {
+              console.error('Error applying cache updates from another tab:', error)
+            })
+        }
+
+        // Cache management panel in the Configure modal
+        self.cacheSummary = ko.observable(null)
+        self.cacheBusy = ko.observable(false)
+        self.cacheRetentionDays = ko.observable(dataManager.CACHE_RETENTION_DAYS)
+
+        self.cacheRetentionDays.subscribe(function (newValue) {
+          if (dataManager.setRetentionDays(newValue)) {
+            dataManager.pruneCache().then(() => self.loadCacheSummary())
+          }
+        })
+
+        self.loadCacheSummary = function () {
+          self.cacheBusy(true)
+          return dataManager
+            .getCacheSummary()
+            .then(summary => self.cacheSummary(summary))
+            .catch(error => console.error('Error reading cache summary:', error))
+            .finally(() => self.cacheBusy(false))
+        }
+
+        // Per-job rows, oldest entries first since those are the likeliest to purge
+        self.cacheEntries = ko.computed(function () {
+          var summary = self.cacheSummary()
+          if (!summary) return []
+          return summary.entries
+            .map(entry => ({
+              jobId: entry.jobId,
+              name: self.jobmap[entry.jobId]
+                ? self.jobmap[entry.jobId].name()
+                : entry.jobId,
+              executionCount: entry.executionCount,
+              size: formatBytes(entry.approxBytes),
+              age: entry.timestamp ? moment(entry.timestamp).fromNow() : 'expired',
+              timestamp: entry.timestamp || 0,
+              range: entry.coverage.length
+                ? entry.coverage
+                  .map(interval => interval.begin + ' to ' + interval.end)
+                  .join(', ')
+                : '-',
+              source: entry.sharedWithRoi ? 'ROI Summary' : 'Job Metrics'
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp)
+        })
+
+        self.cacheTotalsText = ko.computed(function () {
+          var summary = self.cacheSummary()
+          if (!summary) return ''
+          var text =
+            summary.executionCount + ' executions in ' + summary.entries.length +
+            ' job entries, about ' + formatBytes(summary.approxBytes) +
+            ' (' + summary.sharedWithRoiCount + ' shared with ROI Summary)'
+          if (summary.storageUsage !== null) {
+            text += '. Browser storage used by Rundeck: ' + formatBytes(summary.storageUsage)
+          }
+          return text
+        })
+
+        self.purgeJobCache = function (entry) {
+          self.cacheBusy(true)
+          dataManager
+            .purgeJobCache(entry.jobId)
+            .catch(error => console.error('Error purging job cache:', error))
+            .then(() => self.loadCacheSummary())
+        }
+
+        self.purgeProjectCache = function () {
+          self.cacheBusy(true)
+          dataManager
+            .purgeProjectCache()
+            .catch(error => console.error('Error purging project cache:', error))
+            .then(() => self.loadCacheSummary())
+        }
+
+        // Expire every entry, then reload so all jobs are fetched again
+        self.forceRefreshCache = function () {
+          self.cacheBusy(true)
+          dataManager
+            .expireProjectCache()
+            .catch(error => console.error('Error expiring project cache:', error))
+            .then(() => {
+              self.refreshExecData()
+              return self.loadCacheSummary()
+            })
+        }
+
+        // Load the window of equal length before the selected range, for the comparison deltas
+        // Runs after the current period is drawn so the dashboard doesn't wait on it
+        self.refreshPreviousPeriod = function () {
+          var timeWindow = self.timeWindow()
+          var dateRange = self.graphOptions().dateRange()
+          var previousRange = dataManager.buildPreviousDateRange(dateRange)
+          var isStale = function () {
+            var selected = self.graphOptions().dateRange()
+            return (
+              selected.begin !== dateRange.begin || selected.end !== dateRange.end
+            )
+          }
+
+          self.jobs().forEach(job => job.previous.loaded(false))
+
+          return dataManager
+            .prefetchProjectExecutions(
+              self.jobs().map(job => job.id),
+              timeWindow,
+              previousRange
+            )
+            .then(() =>
+              Promise.all(
+                self.jobs().map(job =>
+                  dataManager
+                    .getPreviousJobExecutions(job.id, timeWindow, dateRange)
+                    .then(executions => {
+                      // Ignore results for a range that is no longer selected
+                      if (isStale()) return
+                      job.processPreviousExecutions(
+                        filterExecutionsByRange(executions || [], previousRange)
+                      )
+                    })
+                    .catch(error => {
+                      console.error('Error fetching previous period executions:', {
+                        jobId: job.id,
+                        error: error
+                      })
+                      // Count the job as empty so the other jobs' deltas still show
+                      if (!isStale()) job.processPreviousExecutions([])
+                    })
+                )
+              )
+            )
+            .then(() => {
+              if (isStale()) return
+              return self.updatePreviousProjectDurationStats()
+            })
+        }
+
+        self.updatePreviousProjectDurationStats = function () {
+          var durations = []
+          self.sortedJobs().forEach(function (job) {
+            durations.push(...ExecutionStats.getDurations(job.previous.executions))
+          })
+
+          return dataManager
+            .calculateDurationStatsWithWorker(durations)
+            .then(stats => self.previousProjectDurationStats(stats))
+        }
+
+        // Recompute project-wide percentiles from every job's durations
+        self.updateProjectDurationStats = function () {
+          var durations = []
+          self.sortedJobs().forEach(function (job) {
+            durations.push(...ExecutionStats.getDurations(job.executions))
+          })
+
+          return dataManager
+            .calculateDurationStatsWithWorker(durations)
+            .then(stats => self.projectDurationStats(stats))
+        }
+
+        // Columns written by the table export - raw values rather than display strings
+        self.exportColumns = [
+          { key: 'jobId', label: 'Job ID', value: job => job.id },
+          { key: 'name', label: 'Job Name', value: job => job.name() },
+          { key: 'group', label: 'Group', value: job => job.group() || '' },
+          {
+            key: 'executions',
+            label: 'Executions',
+            value: job => job.executionCount()
+          },
+          {
+            key: 'successRate',
+            label: 'Success Rate %',
+            value: job => Number(job.successRate().toFixed(2))
+          },
+          {
+            key: 'failures',
+            label: 'Failures',
+            value: job => job.failureCount()
+          },
+          {
+            key: 'flakinessScore',
+            label: 'Flakiness %',
+            value: job => Number(job.flakiness().score.toFixed(2))
+          },
+          {
+            key: 'statusTransitions',
+            label: 'Status Changes',
+            value: job => job.flakiness().transitions
+          },
+          {
+            key: 'recoveries',
+            label: 'Recoveries',
+            value: job => job.flakiness().recoveries
+          },
+          { key: 'flaky', label: 'Flaky', value: job => job.isFlaky() },
+          {
+            key: 'slaBreaches',
+            label: 'SLA Breaches',
+            value: job => job.slaBreaches().map(breach => breach.message).join('; ')
+          },
+          {
+            key: 'currentFailureStreak',
+            label: 'Current Failure Streak',
+            value: job => job.failureStreaks().currentStreak
+          },
+          {
+            key: 'longestFailureStreak',
+            label: 'Longest Failure Streak',
+            value: job => job.failureStreaks().longestStreak
+          },
+          {
+            key: 'mttrMs',
+            label: 'MTTR (ms)',
+            value: job =>
+              job.failureStreaks().mttr === null
+                ? ''
+                : Math.round(job.failureStreaks().mttr)
+          },
+          {
+            key: 'previousExecutions',
+            label: 'Previous Period Executions',
+            value: job =>
+              job.previous.loaded() ? job.previous.executionCount() : ''
+          },
+          {
+            key: 'successRateDeltaPts',
+            label: 'Success Rate Change (pts)',
+            value: job =>
+              job.successRateDelta() === null
+                ? ''
+                : Number(job.successRateDelta().toFixed(2))
+          }
+        ]
+          .concat(
+            ExecutionStats.STATUSES.map(status => ({
+              key: 'status_' + status,
+              label: STATUS_LABELS[status],
+              value: job => job.statusCounts()[status]
+            }))
+          )
+          .concat([
+            {
+              key: 'avgDurationMs',
+              label: 'Avg Duration (ms)',
+              value: job => Math.round(job.avgDuration())
+            },
+            {
+              key: 'p50DurationMs',
+              label: 'Median Duration (ms)',
+              value: job => Math.round(job.durationStats().p50)
+            },
+            {
+              key: 'p90DurationMs',
+              label: 'p90 Duration (ms)',
+              value: job => Math.round(job.durationStats().p90)
+            },
+            {
+              key: 'p95DurationMs',
+              label: 'p95 Duration (ms)',
+              value: job => Math.round(job.durationStats().p95)
+            },
+            {
+              key: 'p99DurationMs',
+              label: 'p99 Duration (ms)',
+              value: job => Math.round(job.durationStats().p99)
+            }
+          ])
+
+        self.rawExecutionColumns = [
+          { key: 'jobId', label: 'Job ID' },
+          { key: 'jobName', label: 'Job Name' },
+          { key: 'group', label: 'Group' },
+          { key: 'executionId', label: 'Execution ID' },
+          { key: 'status', label: 'Status' },
+          { key: 'dateStarted', label: 'Started' },
+          { key: 'dateEnded', label: 'Ended' },
+          { key: 'durationMs', label: 'Duration (ms)' },
+          { key: 'user', label: 'User' },
+          { key: 'permalink', label: 'Link' }
+        ]
+
+        self.exportMetadata = function () {
+          var dateRange = self.graphOptions().dateRange()
+          var previousRange = dataManager.buildPreviousDateRange(dateRange)
+          return {
+            project: self.project(),
+            rangePreset: self.graphOptions().rangePreset(),
+            timeWindowDays: self.timeWindow(),
+            begin: dateRange.begin,
+            end: dateRange.end,
+            previousBegin: previousRange.begin,
+            previousEnd: previousRange.end,
+            generatedAt: moment().toISOString()
+          }
+        }
+
+        self.exportFileName = function (suffix) {
+          return (
+            'job-metrics-' +
+            self.project() +
+            '-' +
+            suffix +
+            '-' +
+            moment().format('YYYYMMDD-HHmmss')
+          )
+        }
+
+        // Export the table as currently filtered and sorted
+        self.exportTable = function (format) {
+          var rows = self.sortedJobs().map(function (job) {
+            var row = {}
+            self.exportColumns.forEach(column => {
+              row[column.key] = column.value(job)
+            })
+            return row
+          })
+
+          metricsExport.exportRows(
+            self.exportFileName('summary'),
+            format,
+            self.exportMetadata(),
+            self.exportColumns,
+            rows
+          )
+        }
+
+        // Export the cached executions behind each job in the table
+        self.exportRawExecutions = function (format) {
+          var jobs = self.sortedJobs()
+          var timeWindow = self.timeWindow()
+          var requestedRange = self.graphOptions().requestedRange()
+
+          return Promise.all(
+            jobs.map(job =>
+              dataManager.getCachedExecutions(job.id, timeWindow, requestedRange)
+            )
+          ).then(function (results) {
+            var rows = []
+            results.forEach(function (executions, index) {
+              var job = jobs[index]
+              executions.forEach(function (execution) {
+                var duration = ExecutionStats.getExecutionDuration(execution)
+                rows.push({
+                  jobId: job.id,
+                  jobName: job.name(),
+                  group: job.group() || '',
+                  executionId: execution.id,
+                  status: execution.status,
+                  dateStarted:
+                    execution['date-started']?.date || execution.dateStarted || '',
+                  dateEnded:
+                    execution['date-ended']?.date || execution.dateEnded || '',
+                  durationMs: duration !== null ? duration : '',
+                  user: execution.user || '',
+                  permalink: execution.permalink || ''
+                })
+              })
+            })
+
+            metricsExport.exportRows(
+              self.exportFileName('executions'),
+              format,
+              self.exportMetadata(),
+              self.rawExecutionColumns,
+              rows
+            )
+          })
+        }
+
         self.loadJobs = function () {
           var foundJobs = jQuery('.jobname[data-job-id]')
           var jobsArr = []
@@ -335,7 +2018,8 @@ function initJobMetrics () {
               id: jel.data('jobId'),
               name: jel.data('jobName'),
               group: jel.data('jobGroup'),
-              project: self.project()
+              project: self.project(),
+              options: self.graphOptions()
             })
             jobsArr.push(job)
             self.jobmap[job.id] = job
@@ -356,29 +2040,18 @@ function initJobMetrics () {
           self.jobs.valueHasMutated(); // This line triggers the table update
       };
         self.getSuccessRateOverTime = function () {
-          var timeData = {}
-          //console.log('Getting success rate data for jobs:', self.jobs().length)
-          self.jobs().forEach(function (job) {
-            //console.log('Job executions:', job.executions?.length || 0)
-            job.executions.forEach(function (execution) {
-              var date = moment(
-                execution['date-started']?.date || execution.dateStarted
-              ).format('YYYY-MM-DD')
-              if (!timeData[date]) {
-                timeData[date] = { total: 0, success: 0 }
-              }
-              timeData[date].total++
-              if (execution.status === 'succeeded') {
-                timeData[date].success++
-              }
-            })
+          var executions = []
+          self.filteredJobs().forEach(function (job) {
+            executions.push(...job.executions)
           })
 
           // Convert to arrays for Chart.js
-          var dates = Object.keys(timeData).sort()
-          var rates = dates.map(
-            date => (timeData[date].success / timeData[date].total) * 100
+          var daily = getDailySuccessRates(
+            executions,
+            self.graphOptions().countAbortedAsFailure()
           )
+          var dates = daily.dates
+          var rates = daily.rates
           // Check if there's only one date
           if (dates.length === 1) {
             const firstDate = dates[0]
@@ -397,125 +2070,188 @@ function initJobMetrics () {
           }
         }
 
-        self.getTimeOfDayData = function () {
-          var hourData = Array(24).fill(0)
-          var totalExecutions = 0
+        // Bucket executions by ISO weekday (Monday first) and hour of day
+        self.getWeekdayHourData = function () {
+          var buckets = []
+          for (var day = 0; day < 7; day++) {
+            buckets.push(
+              Array.from({ length: 24 }, () => ({
+                count: 0,
+                statusCounts: ExecutionStats.countStatuses([]),
+                totalDuration: 0,
+                durationCount: 0
+              }))
+            )
+          }
 
-          self.jobs().forEach(function (job) {
+          self.filteredJobs().forEach(function (job) {
             job.executions.forEach(function (execution) {
-              var hour = moment(
+              var started = moment(
                 execution['date-started']?.date || execution.dateStarted
-              ).hour()
-              hourData[hour]++
-              totalExecutions++
+              )
+              if (!started.isValid()) return
+
+              var bucket = buckets[started.isoWeekday() - 1][started.hour()]
+              bucket.count++
+              bucket.statusCounts[ExecutionStats.normalizeStatus(execution.status)]++
+              var duration = ExecutionStats.getExecutionDuration(execution)
+              if (duration !== null) {
+                bucket.totalDuration += duration
+                bucket.durationCount++
+              }
             })
           })
 
-          return {
-            labels: Array.from({ length: 24 }, (_, i) => i),
-            data: hourData
-          }
+          return buckets
         }
 
-        // Add function to create charts
-        self.createCharts = function () {
-          const themeColors = getChartThemeColors()
+        self.heatmapHours = Array.from({ length: 24 }, (_, hour) => hour)
 
-          // Success Rate Over Time Chart
-          var successRateData = self.getSuccessRateOverTime()
-          if (self.successRateChart) {
-            self.successRateChart.destroy()
+        // Executions of the filtered jobs matching a predicate, for the drill-down panel
+        self.findExecutions = function (predicate) {
+          var entries = []
+          self.filteredJobs().forEach(function (job) {
+            job.executions.forEach(function (execution) {
+              if (predicate(execution)) {
+                entries.push({ jobName: job.name(), execution: execution })
+              }
+            })
+          })
+          return entries
+        }
+
+        self.drilldownDate = function (date) {
+          self.drilldown.open(
+            date,
+            self.findExecutions(
+              execution =>
+                moment(
+                  execution['date-started']?.date || execution.dateStarted
+                ).format('YYYY-MM-DD') === date
+            )
+          )
+        }
+
+        // weekday is ISO (1 = Monday)
+        self.drilldownWeekdayHour = function (weekday, hour) {
+          self.drilldown.open(
+            moment().isoWeekday(weekday).format('dddd') +
+              ' ' +
+              String(hour).padStart(2, '0') +
+              ':00',
+            self.findExecutions(function (execution) {
+              var started = moment(
+                execution['date-started']?.date || execution.dateStarted
+              )
+              return started.isoWeekday() === weekday && started.hour() === hour
+            })
+          )
+        }
+
+        // Heatmap rows coloured by the selected mode; empty buckets stay blank
+        self.heatmapRows = ko.computed(function () {
+          var buckets = self.weekdayHourData()
+          if (!buckets) return []
+
+          var mode = self.graphOptions().heatmapMode()
+          var countAbortedAsFailure = self.graphOptions().countAbortedAsFailure()
+
+          var valueOf = function (bucket) {
+            switch (mode) {
+              case 'failureRate':
+                var considered =
+                  bucket.statusCounts.succeeded +
+                  bucket.statusCounts.other +
+                  ExecutionStats.countFailures(bucket.statusCounts, countAbortedAsFailure)
+                return considered > 0
+                  ? 100 - ExecutionStats.calculateSuccessRate(bucket.statusCounts, countAbortedAsFailure)
+                  : null
+              case 'avgDuration':
+                return bucket.durationCount > 0
+                  ? bucket.totalDuration / bucket.durationCount
+                  : null
+              default:
+                return bucket.count > 0 ? bucket.count : null
+            }
           }
 
-          self.successRateChart = new Chart(
-            document.getElementById('successRateChart'),
-            {
-              type: 'bar',
-              data: {
-                labels: successRateData.labels,
-                datasets: [
-                  {
-                    label: 'Success Rate %',
-                    data: successRateData.data,
-                    borderColor: '#28a745',
-                    backgroundColor: 'rgba(40, 167, 69, 0.1)',
-                    fill: true,
-                    tension: 0.4
-                  }
-                ]
-              },
-              options: {
-                responsive: true,
-                scales: {
-                  y: {
-                    beginAtZero: true,
-                    max: 100,
-                    grid: {
-                      color: themeColors.gridColor,
-                      borderColor: themeColors.borderColor
-                    },
-                    ticks: {
-                      color: themeColors.textColor
-                    },
-                    title: {
-                      display: true,
-                      text: 'Success Rate (%)',
-                      color: themeColors.textColor
-                    }
-                  },
-                  x: {
-                    grid: {
-                      color: themeColors.gridColor,
-                      borderColor: themeColors.borderColor
-                    },
-                    ticks: {
-                      color: themeColors.textColor
-                    },
-                    title: {
-                      display: true,
-                      text: 'Date',
-                      color: themeColors.textColor
-                    }
-                  }
-                },
-                plugins: {
-                  title: {
-                    display: true,
-                    text: 'Job Success Rate Over Time',
-                    color: themeColors.textColor
-                  },
-                  legend: {
-                    labels: {
-                      color: themeColors.textColor
-                    }
+          var formatValue = function (value) {
+            switch (mode) {
+              case 'failureRate':
+                return value.toFixed(1) + '% failed'
+              case 'avgDuration':
+                return moment.duration(value).humanize() + ' on average'
+              default:
+                return value + ' executions'
+            }
+          }
+
+          var values = buckets.map(row => row.map(valueOf))
+          // Failure rate is already on a 0-100 scale; the others are relative to the busiest bucket
+          var max =
+            mode === 'failureRate'
+              ? 100
+              : Math.max(0, ...values.flat().filter(value => value !== null))
+          var color = HEATMAP_MODES[mode].color
+
+          return buckets.map(function (row, dayIndex) {
+            var weekday = moment().isoWeekday(dayIndex + 1)
+            return {
+              label: weekday.format('ddd'),
+              cells: row.map(function (bucket, hour) {
+                var value = values[dayIndex][hour]
+                var title = weekday.format('dddd') + ' ' + hour + ':00'
+                if (value === null) {
+                  return {
+                    weekday: dayIndex + 1,
+                    hour: hour,
+                    hasExecutions: false,
+                    color: 'transparent',
+                    title: title + ' - no executions'
                   }
                 }
-              }
+                // Keep the faintest non-empty bucket visible
+                var alpha = max > 0 ? 0.1 + 0.9 * (value / max) : 0.1
+                return {
+                  weekday: dayIndex + 1,
+                  hour: hour,
+                  hasExecutions: true,
+                  color: 'rgba(' + color + ', ' + alpha.toFixed(2) + ')',
+                  title:
+                    title +
+                    ' - ' +
+                    formatValue(value) +
+                    (mode === 'count' ? '' : ' (' + bucket.count + ' executions)')
+                }
+              })
             }
-          )
+          })
+        })
+
+        // Add function to create charts
+        self.createCharts = function () {
+          const themeColors = getChartThemeColors()
 
-          // Time Heat Map
-          var timeData = self.getTimeOfDayData()
-          if (self.timeHeatMapChart) {
-            self.timeHeatMapChart.destroy()
+          // Success Rate Over Time Chart
+          var successRateData = self.getSuccessRateOverTime()
+          if (self.successRateChart) {
+            self.successRateChart.destroy()
           }
 
-          self.timeHeatMapChart = new Chart(
-            document.getElementById('timeHeatMap'),
+          self.successRateChart = new Chart(
+            document.getElementById('successRateChart'),
             {
               type: 'bar',
               data: {
-                labels: timeData.labels.map(hour => `${hour}:00`),
+                labels: successRateData.labels,
                 datasets: [
                   {
-                    label: 'Executions',
-                    data: timeData.data,
-                    backgroundColor: timeData.data.map(
-                      value =>
-                        `rgba(40, 167, 69, ${
-                          value / Math.max(...timeData.data)
-                        })`
-                    )
+                    label: 'Success Rate %',
+                    data: successRateData.data,
+                    borderColor: '#28a745',
+                    backgroundColor: 'rgba(40, 167, 69, 0.1)',
+                    fill: true,
+                    tension: 0.4
                   }
                 ]
               },
@@ -524,6 +2260,7 @@ function initJobMetrics () {
                 scales: {
                   y: {
                     beginAtZero: true,
+                    max: 100,
                     grid: {
                       color: themeColors.gridColor,
                       borderColor: themeColors.borderColor
@@ -533,7 +2270,7 @@ function initJobMetrics () {
                     },
                     title: {
                       display: true,
-                      text: 'Number of Executions',
+                      text: 'Success Rate (%)',
                       color: themeColors.textColor
                     }
                   },
@@ -547,7 +2284,7 @@ function initJobMetrics () {
                     },
                     title: {
                       display: true,
-                      text: 'Hour of Day',
+                      text: 'Date',
                       color: themeColors.textColor
                     }
                   }
@@ -555,7 +2292,7 @@ function initJobMetrics () {
                 plugins: {
                   title: {
                     display: true,
-                    text: 'Job Executions by Hour Heatmap',
+                    text: 'Job Success Rate Over Time',
                     color: themeColors.textColor
                   },
                   legend: {
@@ -563,41 +2300,118 @@ function initJobMetrics () {
                       color: themeColors.textColor
                     }
                   }
-                }
+                },
+                ...drilldownClickOptions(date => self.drilldownDate(date))
               }
             }
           )
+
+          // Weekday x hour heatmap (rendered by the template)
+          self.weekdayHourData(self.getWeekdayHourData())
+        }
+
+        // Refresh chart data in place, without the rebuild animation, for progressive loading
+        // The success rate chart is the dashboard's only Chart.js chart; the heatmap is reset
+        // here, while cards, sparklines and table rows are computeds that follow each job
+        self.updateCharts = function () {
+          if (!self.successRateChart) {
+            self.createCharts()
+            return
+          }
+          var successRateData = self.getSuccessRateOverTime()
+          self.successRateChart.data.labels = successRateData.labels
+          self.successRateChart.data.datasets[0].data = successRateData.data
+          self.successRateChart.update('none')
+
+          self.weekdayHourData(self.getWeekdayHourData())
         }
       }
 
-      function JobMetricsViewModel () {
+      function JobMetricsViewModel (settings) {
         var self = this
 
         // Basic observables
         self.loading = ko.observable(true)
         self.executionCount = ko.observable(0)
-        self.successCount = ko.observable(0)
-        self.failureCount = ko.observable(0)
-        self.successRate = ko.observable(0)
         self.avgDuration = ko.observable(0)
+        self.durationStats = ko.observable(
+          ExecutionStats.calculateDurationStats([])
+        )
+        self.statusCounts = ko.observable(ExecutionStats.countStatuses([]))
+        // Executions oldest first, for sequence-based metrics
+        self.orderedExecutions = ko.observableArray([])
 
         // Time window options
         self.graphOptions = ko.observable(
           new GraphOptions({
-            queryMax: 10
+            defaults: settings
           })
         )
 
+        self.successCount = ko.computed(function () {
+          return self.statusCounts().succeeded
+        })
+        self.failureCount = ko.computed(function () {
+          return ExecutionStats.countFailures(
+            self.statusCounts(),
+            self.graphOptions().countAbortedAsFailure()
+          )
+        })
+        self.successRate = ko.computed(function () {
+          return ExecutionStats.calculateSuccessRate(
+            self.statusCounts(),
+            self.graphOptions().countAbortedAsFailure()
+          )
+        })
+        self.statusBreakdown = ko.computed(function () {
+          return statusBreakdown(self.statusCounts())
+        })
+        self.statusCount = function (status) {
+          return self.statusCounts()[status]
+        }
+        self.failureStreaks = ko.computed(function () {
+          return ExecutionStats.calculateFailureStreaks(
+            self.orderedExecutions(),
+            self.graphOptions().countAbortedAsFailure()
+          )
+        })
+        self.formattedMttr = ko.computed(function () {
+          var mttr = self.failureStreaks().mttr
+          return mttr === null ? '-' : self.formatDuration(mttr)
+        })
+
         // Chart instances
         self.successRateChart = null
         self.statusPieChart = null
+        self.durationTrendChart = null
+
+        self.drilldown = new ExecutionDrilldown()
+
+        self.drilldownDate = function (date) {
+          var jobName = loadJsonData('jobDetail').name
+          self.drilldown.open(
+            date,
+            self.orderedExecutions()
+              .filter(
+                execution =>
+                  moment(
+                    execution['date-started']?.date || execution.dateStarted
+                  ).format('YYYY-MM-DD') === date
+              )
+              .map(execution => ({ jobName: jobName, execution: execution }))
+          )
+        }
+
+        // Number of preceding executions used for the rolling median line
+        self.ROLLING_MEDIAN_WINDOW = 7
 
         // Updated to use dataManager
         self.loadMetricsData = function () {
           // Check if chart elements exist
           if (
             !document.getElementById('jobSuccessRateChart') ||
-            !document.getElementById('jobStatusPieChart')
+            !document.getElementById('jobStatusPieChart') ||
+            !document.getElementById('jobDurationTrendChart')
           ) {
             console.log('Chart elements not ready, retrying in 100ms...')
             setTimeout(() => self.loadMetricsData(), 100)
@@ -608,25 +2422,29 @@ function initJobMetrics () {
           var jobDetail = loadJsonData('jobDetail')
           var jobId = jobDetail.id
           var timeWindow = self.graphOptions().queryMax()
+          var dateRange = self.graphOptions().dateRange()
 
           // Use data manager to get executions
-          dataManager.getJobExecutions(jobId, timeWindow)
+          dataManager.getJobExecutions(
+            jobId,
+            timeWindow,
+            self.graphOptions().requestedRange()
+          )
             .then(executions => {
               if (executions && executions.length > 0) {
-                var cutoffDate = moment()
-                  .startOf('day')
-                  .subtract(self.graphOptions().queryMax(), 'days')
-                var filteredExecutions = filterExecutionsByDate(
+                var filteredExecutions = filterExecutionsByRange(
                   executions,
-                  cutoffDate
+                  dateRange
                 )
 
                 self.processExecutions(filteredExecutions)
+                self.updateDurationStats(jobId, filteredExecutions)
 
                 // Double check elements exist before updating charts
                 if (
                   document.getElementById('jobSuccessRateChart') &&
-                  document.getElementById('jobStatusPieChart')
+                  document.getElementById('jobStatusPieChart') &&
+                  document.getElementById('jobDurationTrendChart')
                 ) {
                   self.updateCharts(filteredExecutions)
                 }
@@ -640,15 +2458,11 @@ function initJobMetrics () {
         }
 
         self.processExecutions = function (executions) {
-          var successful = 0
+          self.orderedExecutions(ExecutionStats.sortByStartTime(executions))
           var totalDuration = 0
           var mostRecentExec = null
 
           executions.forEach(function (execution) {
-            if (execution.status === 'succeeded') {
-              successful++
-            }
-            
             // Track the most recent execution for job.averageDuration
             if (!mostRecentExec || (execution['date-started'] && mostRecentExec['date-started'] && 
                 execution['date-started'].date > mostRecentExec['date-started'].date)) {
@@ -657,11 +2471,7 @@ function initJobMetrics () {
           })
 
           self.executionCount(executions.length)
-          self.successCount(successful)
-          self.failureCount(executions.length - successful)
-          self.successRate(
-            executions.length > 0 ? (successful / executions.length) * 100 : 0
-          )
+          self.statusCounts(ExecutionStats.countStatuses(executions))
           
           // Use job.averageDuration if available from most recent execution
           if (mostRecentExec && mostRecentExec.job && mostRecentExec.job.averageDuration) {
@@ -669,8 +2479,9 @@ function initJobMetrics () {
           } else {
             // Fallback to calculating from executions if necessary
             executions.forEach(function (execution) {
-              if (execution.duration) {
-                totalDuration += execution.duration
+              var duration = ExecutionStats.getExecutionDuration(execution)
+              if (duration !== null) {
+                totalDuration += duration
               }
             })
             self.avgDuration(
@@ -679,28 +2490,89 @@ function initJobMetrics () {
           }
         }
 
-        self.updateCharts = function (executions) {
-          const themeColors = getChartThemeColors()
+        // Percentiles are computed in the worker to keep the page responsive on long histories
+        self.updateDurationStats = function (jobId, executions) {
+          return dataManager
+            .processExecutionsWithWorker(jobId, executions)
+            .then(metrics => self.durationStats(metrics.summary.durationStats))
+        }
 
-          // Prepare data for success rate over time
-          var timeData = {}
+        self.formatDuration = function (miliseconds) {
+          return moment.duration(miliseconds).humanize()
+        }
+
+        // Per-execution durations plus a rolling median and a daily p10-p90 band
+        self.getDurationTrendData = function (executions) {
+          var points = []
           executions.forEach(function (execution) {
-            var date = moment(
+            var duration = ExecutionStats.getExecutionDuration(execution)
+            var started =
               execution['date-started']?.date || execution.dateStarted
-            ).format('YYYY-MM-DD')
-            if (!timeData[date]) {
-              timeData[date] = { total: 0, success: 0 }
+            if (duration !== null && started) {
+              points.push({
+                x: moment(started).valueOf(),
+                y: duration / 60000
+              })
+            }
+          })
+          points.sort((a, b) => a.x - b.x)
+
+          var rollingMedian = points.map(function (point, index) {
+            var recent = points
+              .slice(Math.max(0, index - self.ROLLING_MEDIAN_WINDOW + 1), index + 1)
+              .map(p => p.y)
+              .sort((a, b) => a - b)
+            return {
+              x: point.x,
+              y: ExecutionStats.calculatePercentile(recent, 50)
             }
-            timeData[date].total++
-            if (execution.status === 'succeeded') {
-              timeData[date].success++
+          })
+
+          var byDay = {}
+          points.forEach(function (point) {
+            var day = moment(point.x).startOf('day').valueOf()
+            if (!byDay[day]) {
+              byDay[day] = []
             }
+            byDay[day].push(point.y)
           })
 
-          var dates = Object.keys(timeData).sort()
-          var successRates = dates.map(
-            date => (timeData[date].success / timeData[date].total) * 100
+          var bandLow = []
+          var bandHigh = []
+          Object.keys(byDay)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .forEach(function (day) {
+              var values = byDay[day].sort((a, b) => a - b)
+              var midday = moment(day).add(12, 'hours').valueOf()
+              bandLow.push({
+                x: midday,
+                y: ExecutionStats.calculatePercentile(values, 10)
+              })
+              bandHigh.push({
+                x: midday,
+                y: ExecutionStats.calculatePercentile(values, 90)
+              })
+            })
+
+          return {
+            points: points,
+            rollingMedian: rollingMedian,
+            bandLow: bandLow,
+            bandHigh: bandHigh
+          }
+        }
+
+        self.updateCharts = function (executions) {
+          const themeColors = getChartThemeColors()
+
+          // Prepare data for success rate over time
+          var daily = getDailySuccessRates(
+            executions,
+            self.graphOptions().countAbortedAsFailure()
           )
+          var dates = daily.dates
+          var successRates = daily.rates
 
           if (dates.length === 1) {
             const firstDate = dates[0]
@@ -779,7 +2651,8 @@ function initJobMetrics () {
                       color: themeColors.textColor
                     }
                   }
-                }
+                },
+                ...drilldownClickOptions(date => self.drilldownDate(date))
               }
             }
           )
@@ -789,19 +2662,19 @@ function initJobMetrics () {
             self.statusPieChart.destroy()
           }
 
+          var breakdown = self.statusBreakdown()
           self.statusPieChart = new Chart(
             document.getElementById('jobStatusPieChart'),
             {
               type: 'pie',
               data: {
-                labels: ['Successful', 'Failed'],
+                labels: breakdown.map(item => item.label),
                 datasets: [
                   {
-                    data: [self.successCount(), self.failureCount()],
-                    backgroundColor: [
-                      'rgba(75, 192, 192, 0.8)',
-                      'rgba(255, 99, 132, 0.8)'
-                    ]
+                    data: breakdown.map(item => item.count),
+                    backgroundColor: breakdown.map(
+                      item => STATUS_COLORS[item.status]
+                    )
                   }
                 ]
               },
@@ -822,10 +2695,134 @@ function initJobMetrics () {
               }
             }
           )
+
+          // Update duration trend chart
+          var trendData = self.getDurationTrendData(executions)
+          if (self.durationTrendChart) {
+            self.durationTrendChart.destroy()
+          }
+
+          self.durationTrendChart = new Chart(
+            document.getElementById('jobDurationTrendChart'),
+            {
+              type: 'scatter',
+              data: {
+                datasets: [
+                  {
+                    // Lower edge of the band; the upper edge fills down to it
+                    label: 'Daily p10',
+                    data: trendData.bandLow,
+                    showLine: true,
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    borderColor: 'rgba(54, 162, 235, 0.3)',
+                    fill: false
+                  },
+                  {
+                    label: 'Daily p10-p90 Range',
+                    data: trendData.bandHigh,
+                    showLine: true,
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    borderColor: 'rgba(54, 162, 235, 0.3)',
+                    backgroundColor: 'rgba(54, 162, 235, 0.15)',
+                    fill: '-1'
+                  },
+                  {
+                    label: 'Rolling Median',
+                    data: trendData.rollingMedian,
+                    showLine: true,
+                    pointRadius: 0,
+                    borderColor: '#fd7e14',
+                    borderWidth: 2,
+                    tension: 0.3
+                  },
+                  {
+                    label: 'Execution Duration',
+                    data: trendData.points,
+                    pointRadius: 3,
+                    borderColor: '#28a745',
+                    backgroundColor: 'rgba(40, 167, 69, 0.6)'
+                  }
+                ]
+              },
+              options: {
+                responsive: true,
+                scales: {
+                  y: {
+                    beginAtZero: true,
+                    grid: {
+                      color: themeColors.gridColor,
+                      borderColor: themeColors.borderColor
+                    },
+                    ticks: {
+                      color: themeColors.textColor
+                    },
+                    title: {
+                      display: true,
+                      text: 'Duration (minutes)',
+                      color: themeColors.textColor
+                    }
+                  },
+                  x: {
+                    type: 'linear',
+                    grid: {
+                      color: themeColors.gridColor,
+                      borderColor: themeColors.borderColor
+                    },
+                    ticks: {
+                      color: themeColors.textColor,
+                      callback: value => moment(value).format('YYYY-MM-DD')
+                    },
+                    title: {
+                      display: true,
+                      text: 'Date',
+                      color: themeColors.textColor
+                    }
+                  }
+                },
+                plugins: {
+                  title: {
+                    display: true,
+                    text: 'Execution Duration Trend',
+                    color: themeColors.textColor
+                  },
+                  legend: {
+                    labels: {
+                      color: themeColors.textColor,
+                      filter: item => item.text !== 'Daily p10'
+                    }
+                  },
+                  tooltip: {
+                    callbacks: {
+                      label: context =>
+                        `${context.dataset.label}: ${moment
+                          .duration(context.parsed.y, 'minutes')
+                          .humanize()} (${moment(context.parsed.x).format(
+                          'YYYY-MM-DD HH:mm'
+                        )})`
+                    }
+                  }
+                }
+              }
+            }
+          )
         }
 
-        // Update when time window changes
-        self.graphOptions().queryMax.subscribe(function () {
+        // Update when the date range (preset, custom dates or time window) changes
+        self.graphOptions().dateRange.subscribe(function () {
+          self.loadMetricsData()
+        })
+
+        // Another tab refreshed this job's cache; reloading reads it from there
+        dataManager.onCacheUpdated(function (jobId) {
+          if (!self.loading() && jobId === loadJsonData('jobDetail').id) {
+            self.loadMetricsData()
+          }
+        })
+
+        // Success rate is recomputed from the loaded status counts; reload to redraw the charts
+        self.graphOptions().countAbortedAsFailure.subscribe(function () {
           self.loadMetricsData()
         })
       }
@@ -837,29 +2834,270 @@ function initJobMetrics () {
         self.id = data.id
         self.name = ko.observable(data.name)
         self.group = ko.observable(data.group)
+        // False while the dashboard is still fetching this job's executions
+        self.loaded = ko.observable(false)
+        // Set when the server cut the last fetch short: {dateRange, reason, timestamp}
+        self.partialData = ko.observable(null)
+        self.partialDataTitle = ko.computed(function () {
+          var partial = self.partialData()
+          return partial
+            ? 'Some executions could not be fetched (' +
+                (partial.reason || 'request failed') +
+                '). Metrics may be incomplete; they will be fetched again on the next refresh.'
+            : ''
+        })
 
         self.executions = []
+        // Executions oldest first, for sequence-based metrics
+        self.orderedExecutions = ko.observableArray([])
+
+        // Shared dashboard options (e.g. whether aborted runs count as failures)
+        self.options = data.options
 
         // Execution metrics
         self.executionCount = ko.observable(0)
-        self.successCount = ko.observable(0)
-        self.failureCount = ko.observable(0)
-        self.successRate = ko.observable(0)
+        self.statusCounts = ko.observable(ExecutionStats.countStatuses([]))
         self.avgDuration = ko.observable(0)
         self.totalDuration = ko.observable(0)
+        self.durationStats = ko.observable(
+          ExecutionStats.calculateDurationStats([])
+        )
+
+        self.countAbortedAsFailure = function () {
+          return self.options ? self.options.countAbortedAsFailure() : true
+        }
+
+        self.successCount = ko.computed(function () {
+          return self.statusCounts().succeeded
+        })
+        self.failureCount = ko.computed(function () {
+          return ExecutionStats.countFailures(
+            self.statusCounts(),
+            self.countAbortedAsFailure()
+          )
+        })
+        self.successRate = ko.computed(function () {
+          return ExecutionStats.calculateSuccessRate(
+            self.statusCounts(),
+            self.countAbortedAsFailure()
+          )
+        })
+        self.statusBreakdown = ko.computed(function () {
+          return statusBreakdown(self.statusCounts())
+        })
+
+        // Status alternation across the ordered history; see ExecutionStats.calculateFlakiness
+        self.flakiness = ko.computed(function () {
+          return ExecutionStats.calculateFlakiness(
+            self.orderedExecutions(),
+            self.countAbortedAsFailure()
+          )
+        })
+        self.isFlaky = ko.computed(function () {
+          var flakiness = self.flakiness()
+          return (
+            flakiness.runs >= FLAKY_MIN_RUNS &&
+            flakiness.score >= FLAKY_SCORE_THRESHOLD
+          )
+        })
+        self.formattedFlakiness = ko.computed(function () {
+          return self.flakiness().runs > 1
+            ? self.flakiness().score.toFixed(0) + '%'
+            : '-'
+        })
+        self.flakinessTitle = ko.computed(function () {
+          var flakiness = self.flakiness()
+          return (
+            flakiness.transitions +
+            ' status changes and ' +
+            flakiness.recoveries +
+            ' recoveries over ' +
+            flakiness.runs +
+            ' finished runs'
+          )
+        })
+
+        // SLA checks against the thresholds that apply to this job
+        // Duration is checked at p95 so a single outlier run doesn't count as a breach
+        self.slaBreaches = ko.computed(function () {
+          if (!self.options) return []
+
+          var threshold = self.options.resolveSlaThreshold(self.id, self.group())
+          var counts = self.statusCounts()
+          var finished = counts.succeeded + counts.other + self.failureCount()
+          var breaches = []
+
+          if (
+            threshold.minSuccessRate !== null &&
+            finished > 0 &&
+            self.successRate() < threshold.minSuccessRate
+          ) {
+            breaches.push({
+              type: 'successRate',
+              message:
+                'Success rate ' +
+                self.successRate().toFixed(1) +
+                '% is below ' +
+                threshold.minSuccessRate +
+                '% (' +
+                threshold.source.minSuccessRate +
+                ' SLA)'
+            })
+          }
+
+          if (
+            threshold.maxDurationMinutes !== null &&
+            self.durationStats().count > 0 &&
+            self.durationStats().p95 > threshold.maxDurationMinutes * 60 * 1000
+          ) {
+            breaches.push({
+              type: 'duration',
+              message:
+                'p95 duration ' +
+                self.formatDuration(self.durationStats().p95) +
+                ' exceeds ' +
+                threshold.maxDurationMinutes +
+                ' minutes (' +
+                threshold.source.maxDurationMinutes +
+                ' SLA)'
+            })
+          }
+
+          return breaches
+        })
+        self.breachesSla = function (type) {
+          return self.slaBreaches().some(breach => breach.type === type)
+        }
+        self.slaBreachTitle = ko.computed(function () {
+          return self.slaBreaches().map(breach => breach.message).join('\n')
+        })
+
+        // Per-day buckets by local day, for the sparkline; see ExecutionStats.groupByDate
+        self.dailyBuckets = ko.observable({})
+
+        // Daily success rate or run count across the selected range, as an SVG path
+        self.sparkline = ko.computed(function () {
+          if (!self.options) return { path: '', title: '' }
+
+          var byDate = self.dailyBuckets()
+          var range = self.options.dateRange()
+          var showRuns = self.options.sparklineMode() === 'runs'
+          var countAbortedAsFailure = self.countAbortedAsFailure()
+          var values = []
+
+          for (
+            var day = moment(range.begin);
+            !day.isAfter(range.end, 'day');
+            day.add(1, 'day')
+          ) {
+            var bucket = byDate[day.format('YYYY-MM-DD')]
+            if (showRuns) {
+              values.push(bucket ? bucket.total : 0)
+            } else {
+              // Days without finished runs have no success rate and show as gaps
+              var finished = bucket
+                ? bucket.statusCounts.succeeded +
+                  bucket.statusCounts.other +
+                  ExecutionStats.countFailures(bucket.statusCounts, countAbortedAsFailure)
+                : 0
+              values.push(
+                finished > 0
+                  ? ExecutionStats.calculateSuccessRate(bucket.statusCounts, countAbortedAsFailure)
+                  : null
+              )
+            }
+          }
+
+          return {
+            path: sparklinePath(
+              values,
+              showRuns ? Math.max(0, ...values) : 100
+            ),
+            title:
+              (showRuns ? 'Daily executions' : 'Daily success rate') +
+              ', ' +
+              range.begin +
+              ' to ' +
+              range.end
+          }
+        })
+
+        // Failure streaks and mean time to recovery; see ExecutionStats.calculateFailureStreaks
+        self.failureStreaks = ko.computed(function () {
+          return ExecutionStats.calculateFailureStreaks(
+            self.orderedExecutions(),
+            self.countAbortedAsFailure()
+          )
+        })
+        self.formattedMttr = ko.computed(function () {
+          var mttr = self.failureStreaks().mttr
+          return mttr === null ? '-' : self.formatDuration(mttr)
+        })
+
+        // Same metrics for the window of equal length before the selected range, for comparisons
+        // loaded stays false until the previous period has been fetched
+        self.previous = {
+          loaded: ko.observable(false),
+          executions: [],
+          executionCount: ko.observable(0),
+          statusCounts: ko.observable(ExecutionStats.countStatuses([])),
+          durationStats: ko.observable(ExecutionStats.calculateDurationStats([]))
+        }
+        self.previous.failureCount = ko.computed(function () {
+          return ExecutionStats.countFailures(
+            self.previous.statusCounts(),
+            self.countAbortedAsFailure()
+          )
+        })
+        self.previous.successRate = ko.computed(function () {
+          return ExecutionStats.calculateSuccessRate(
+            self.previous.statusCounts(),
+            self.countAbortedAsFailure()
+          )
+        })
+
+        // Change in success rate (percentage points), or null when either period has no executions
+        self.successRateDelta = ko.computed(function () {
+          if (
+            !self.previous.loaded() ||
+            self.previous.executionCount() === 0 ||
+            self.executionCount() === 0
+          ) {
+            return null
+          }
+          return self.successRate() - self.previous.successRate()
+        })
+
+        self.successRateDeltaDisplay = ko.computed(function () {
+          return periodDelta(
+            self.successRate(),
+            self.successRateDelta() === null ? null : self.previous.successRate(),
+            'pts',
+            true
+          )
+        })
+
+        self.processPreviousExecutions = function (executions) {
+          self.previous.executions = executions
+          self.previous.executionCount(executions.length)
+          self.previous.statusCounts(ExecutionStats.countStatuses(executions))
+          // Small enough to compute here; the worker is kept for the current period
+          self.previous.durationStats(
+            ExecutionStats.calculateDurationStats(
+              ExecutionStats.getDurations(executions)
+            )
+          )
+          self.previous.loaded(true)
+        }
 
         // Process executions data
         self.processExecutions = function (executions) {
           self.executions = executions
-          var successful = 0
+          self.orderedExecutions(ExecutionStats.sortByStartTime(executions))
           var totalDuration = 0
           var mostRecentExec = null
 
           executions.forEach(function (execution) {
-            if (execution.status === 'succeeded') {
-              successful++
-            }
-
             // Track the most recent execution for job.averageDuration
             if (!mostRecentExec || (execution['date-started'] && mostRecentExec['date-started'] && 
                 execution['date-started'].date > mostRecentExec['date-started'].date)) {
@@ -868,11 +3106,7 @@ function initJobMetrics () {
           })
 
           self.executionCount(executions.length)
-          self.successCount(successful)
-          self.failureCount(executions.length - successful)
-          self.successRate(
-            executions.length > 0 ? (successful / executions.length) * 100 : 0
-          )
+          self.statusCounts(ExecutionStats.countStatuses(executions))
           
           // Use job.averageDuration if available from most recent execution
           if (mostRecentExec && mostRecentExec.job && mostRecentExec.job.averageDuration) {
@@ -880,8 +3114,9 @@ function initJobMetrics () {
           } else {
             // Fallback to calculating from executions if necessary
             executions.forEach(function (execution) {
-              if (execution.duration) {
-                totalDuration += execution.duration
+              var duration = ExecutionStats.getExecutionDuration(execution)
+              if (duration !== null) {
+                totalDuration += duration
               }
             })
             self.avgDuration(
@@ -889,6 +3124,15 @@ function initJobMetrics () {
             )
           }
           self.totalDuration(totalDuration)
+          // The worker buckets by UTC date, the sparkline's days are local
+          self.dailyBuckets(ExecutionStats.groupByDate(executions))
+
+          // Percentiles are computed in the worker so large histories don't block the page
+          return dataManager
+            .processExecutionsWithWorker(self.id, executions)
+            .then(metrics => {
+              self.durationStats(metrics.summary.durationStats)
+            })
         }
 
         // Format duration for display
@@ -904,19 +3148,47 @@ function initJobMetrics () {
         self.formattedAvgDuration = ko.computed(function () {
           return self.formatDuration(self.avgDuration())
         })
+
+        self.formattedP50Duration = ko.computed(function () {
+          return self.formatDuration(self.durationStats().p50)
+        })
+
+        self.formattedP90Duration = ko.computed(function () {
+          return self.formatDuration(self.durationStats().p90)
+        })
+
+        self.formattedP95Duration = ko.computed(function () {
+          return self.formatDuration(self.durationStats().p95)
+        })
+
+        self.formattedP99Duration = ko.computed(function () {
+          return self.formatDuration(self.durationStats().p99)
+        })
       }
 
       jQuery(function () {
         var pagePath = rundeckPage.path()
+        // Views are created once the admin defaults are known
+        var settingsLoaded = dataManager.loadPluginSettings(
+          rundeckPage.pluginBaseUrl('ui-jobmetrics')
+        )
+        // Trim the cache to the retention window in the background
+        settingsLoaded.then(() => dataManager.pruneCache())
 
         if (pagePath === 'menu/jobs') {
           let pluginId = 'ui-jobmetrics'
           let pluginUrl = rundeckPage.pluginBaseUrl(pluginId)
           let pluginName = RDPRO[pluginId]
-          jobMetricsView = new JobMetricsListView(pluginName)
+
+          // A #jobmetrics link opens straight onto the metrics tab with its state
+          let linkedState = parseDashboardHash(window.location.hash)
 
           jobListSupport.init_plugin(pluginId, function () {
-            jQuery.get(pluginUrl + '/html/table.html', function (templateHtml) {
+            Promise.all([
+              settingsLoaded,
+              jQuery.get(pluginUrl + '/html/table.html')
+            ]).then(function ([settings, templateHtml]) {
+              jobMetricsView = new JobMetricsListView(pluginName, settings)
               let tablink = jobListSupport.initPage(
                 '#indexMain',
                 'Jobs',
@@ -933,10 +3205,37 @@ function initJobMetrics () {
                     },
                     elem
                   )
+                  if (linkedState) {
+                    jobMetricsView.applyDashboardState(linkedState)
+                  }
                   jobMetricsView.refreshExecData()
-                }
+                },
+                false,
+                !!linkedState
               )
-            })
+
+              // initPage only honours newactive when it builds the tab wrapper itself
+              if (linkedState && !tablink.parent().hasClass('active')) {
+                tablink.tab('show')
+              }
+
+              // Cache details are read from IndexedDB each time Configure opens
+              jQuery('#jobMetricsConfig').on('show.bs.modal', function () {
+                jobMetricsView.loadCacheSummary()
+              })
+
+              // Write the hash when the metrics tab is shown, and drop it when leaving
+              tablink.on('shown.bs.tab', function () {
+                jobMetricsView.updateLocationHash()
+              })
+              jQuery('#indexMain_tab').on('shown.bs.tab', function () {
+                history.replaceState(
+                  null,
+                  '',
+                  window.location.pathname + window.location.search
+                )
+              })
+            }).catch(error => console.error('Error loading Job Metrics tab:', error))
           })
         }
 
@@ -946,8 +3245,6 @@ function initJobMetrics () {
 
           jobListSupport.setup_ko_loader(pluginId, pluginUrl, pluginId)
 
-          jobMetricsView = new JobMetricsViewModel()
-
           // Create container
           let container = jQuery(
             '<div class="col-sm-12 job-metrics-section"></div>'
@@ -958,32 +3255,35 @@ function initJobMetrics () {
           }
 
           jobListSupport.init_plugin(pluginId, function () {
-            jQuery.get(
-              pluginUrl + '/html/job-metrics.html',
-              function (templateHtml) {
-                container.html(templateHtml)
-                ko.applyBindings(jobMetricsView, container[0])
-                // Only load metrics after template is loaded and bound
-                setTimeout(() => {
-                  jobMetricsView.loadMetricsData()
-                }, 100)
-              }
-            )
+            Promise.all([
+              settingsLoaded,
+              jQuery.get(pluginUrl + '/html/job-metrics.html')
+            ]).then(function ([settings, templateHtml]) {
+              jobMetricsView = new JobMetricsViewModel(settings)
+              container.html(templateHtml)
+              ko.applyBindings(jobMetricsView, container[0])
+              // Only load metrics after template is loaded and bound
+              setTimeout(() => {
+                jobMetricsView.loadMetricsData()
+              }, 100)
+            }).catch(error => console.error('Error loading Job Metrics section:', error))
           })
         }
 
-        if (jobMetricsView) {
+        if (pagePath === 'menu/jobs' || pagePath === 'scheduledExecution/show') {
           const observer = new MutationObserver(mutations => {
             mutations.forEach(mutation => {
               if (mutation.attributeName === 'data-color-theme') {
                 // Refresh charts when theme changes
                 if (
                   pagePath === 'menu/jobs' &&
+                  jobMetricsView &&
                   jobMetricsView.refreshExecData
                 ) {
                   jobMetricsView.refreshExecData()
                 } else if (
                   pagePath === 'scheduledExecution/show' &&
+                  jobMetricsView &&
                   jobMetricsView.loadMetricsData
                 ) {
                   jobMetricsView.loadMetricsData()
@@ -21,19 +21,78 @@ class ExecutionDataManager {
         };
         
         // Job Metrics plugin DB config - for our own writes
+        // The version is set from the newest migration step below
         this.DB_CONFIG = {
             name: 'jobMetricsCache',  // Separate namespace for Job Metrics
-            version: 1,
             stores: {
                 jobCache: 'jobCache',
                 executionCache: 'executionCache',
-                metrics: 'metrics'
+                metrics: 'metrics',
+                executions: 'executions'
+            },
+            // Stores whose entries carry the project they belong to, indexed for per-project reads
+            projectStores: ['jobCache', 'executionCache'],
+            projectIndex: 'project',
+            // Indexes of the executions store, keyed by start time in ms
+            executionIndexes: {
+                jobStarted: 'jobStarted',         // [jobId, startedAt]
+                started: 'started',               // startedAt
+                projectStarted: 'projectStarted'  // [project, startedAt]
             }
         };
         
+        // Ordered schema migrations, run inside the upgrade transaction for every version
+        // newer than the one stored. Append new steps; never change one that has shipped.
+        // Each step gets (db, transaction); one that walks data returns a Promise settling
+        // once its requests finish, and the next step waits for it.
+        this.DB_MIGRATIONS = [
+            {
+                version: 1,
+                description: 'Create job, execution and metrics stores',
+                migrate: (db) => {
+                    const { jobCache, executionCache, metrics } = this.DB_CONFIG.stores;
+                    [jobCache, executionCache, metrics].forEach(storeName => {
+                        if (!db.objectStoreNames.contains(storeName)) {
+                            db.createObjectStore(storeName, { keyPath: 'id' });
+                        }
+                    });
+                }
+            },
+            {
+                version: 2,
+                description: 'Partition job and execution caches by project',
+                migrate: (db, transaction) => this.migrateProjectPartitions(transaction)
+            },
+            {
+                version: 3,
+                description: 'Move cached executions into a store indexed by start time',
+                migrate: (db, transaction) => this.migrateExecutionStore(db, transaction)
+            }
+        ];
+        this.DB_CONFIG.version = this.DB_MIGRATIONS[this.DB_MIGRATIONS.length - 1].version;
+        // How long to wait for other tabs to release an old connection before giving up on the cache
+        this.DB_BLOCKED_TIMEOUT = 10000; // 10 seconds
+        
         // Cache settings
         this.EXECUTION_CACHE_TTL = 1000 * 60 * 60 * 24; // 24 hours
         this.CACHE_FRESHNESS_THRESHOLD = 8; // hours
+        // Use one project-wide executions stream once at least this many jobs need fetching
+        this.BULK_FETCH_MIN_JOBS = 10;
+        this.BULK_FETCH_TIMEOUT = 1000 * 60 * 5; // 5 minutes
+        
+        // Incremental refreshes start this far before the newest cached execution
+        this.INCREMENTAL_OVERLAP = 1000 * 60 * 5; // 5 minutes
+        // Cached executions that started longer ago than this are pruned
+        this.CACHE_RETENTION_DAYS = 90;
+        // Worker request concurrency; null keeps the worker's built-in limit
+        this.WORKER_CONCURRENCY = null;
+        
+        // Plugin configuration is read from project properties under this prefix
+        this.SETTINGS_PREFIX = 'project.plugin.UI.ui-jobmetrics.';
+        this.SETTINGS_STORAGE_PREFIX = 'rundeck.plugin.ui-jobmetrics.';
+        this.settings = {};
+        // Off while the time window is only for the current view, e.g. from a shared link
+        this.syncRoiTimeWindow = true;
         
         // For tracking the ROI plugin initialization
         this.MAX_WAIT_TIME = 10000; // 10 seconds max wait time
@@ -79,6 +138,17 @@ class ExecutionDataManager {
         // For tracking fetch operations in progress to prevent duplicates
         this.fetchOperationsInProgress = new Map();
         
+        // Jobs whose last fetch stopped short, keyed by job ID: {dateRange, reason, timestamp}
+        // Their executions are returned but not cached, so the next load tries again
+        this.partialFetches = new Map();
+        
+        // Cross-tab coordination: tabs on the same project share one fetch per job
+        // through Web Locks, and announce cache writes over a BroadcastChannel
+        this.channelName = `rundeck.plugin.ui-jobmetrics.${projectName}`;
+        this.channel = null;
+        this.cacheUpdateListeners = [];
+        this.setupCrossTabChannel();
+        
         // Set up navigation event handlers to properly terminate workers
         this.setupNavigationHandlers();
         
@@ -136,6 +206,226 @@ class ExecutionDataManager {
         }
     }
     
+    /**
+     * Load admin defaults. They come from the settings.json shipped with the plugin,
+     * which every user can read, with project properties filling in what it leaves
+     * unset for users allowed to read project configuration. Any failure falls
+     * back to built-in defaults.
+     * @param {string} pluginUrl base URL of the plugin's resources
+     * @returns {Promise<Object>} settings keyed by plugin.yaml config name
+     */
+    async loadPluginSettings(pluginUrl) {
+        const [projectSettings, sharedSettings] = await Promise.all([
+            this.loadProjectConfigSettings(),
+            this.loadSharedSettings(pluginUrl)
+        ]);
+        const settings = { ...projectSettings, ...sharedSettings };
+        this.applySettings(settings);
+        return settings;
+    }
+    
+    /**
+     * Read settings.json from the plugin's resources. Values under "defaults" apply
+     * to every project; values under "projects" and this project's name win over them.
+     * @param {string} pluginUrl base URL of the plugin's resources
+     * @returns {Promise<Object>} settings it sets, or an empty object
+     */
+    async loadSharedSettings(pluginUrl) {
+        if (!pluginUrl) {
+            return {};
+        }
+        try {
+            const response = await fetch(`${pluginUrl}/settings.json`, {
+                credentials: 'include',
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                this.log('loadSharedSettings', `Plugin settings not found (${response.status})`);
+                return {};
+            }
+            const shared = await response.json();
+            const values = {
+                ...(shared?.defaults || {}),
+                ...(shared?.projects?.[this.projectName] || {})
+            };
+            // Reuse the project property parsing so both sources validate the same way
+            const properties = {};
+            Object.entries(values).forEach(([name, value]) => {
+                properties[this.SETTINGS_PREFIX + name] = value;
+            });
+            return this.parsePluginSettings(properties);
+        } catch (error) {
+            this.logError('loadSharedSettings', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Read plugin configuration from project properties. That needs configure
+     * access, so for most users this resolves to an empty object.
+     * @returns {Promise<Object>} settings an admin has set for the project
+     */
+    async loadProjectConfigSettings() {
+        try {
+            const response = await fetch(
+                `${window.location.origin}/api/40/project/${encodeURIComponent(this.projectName)}/config`,
+                {
+                    credentials: 'include',
+                    headers: {
+                        'Accept': 'application/json',
+                        'x-rundeck-ajax': 'true'
+                    }
+                }
+            );
+            if (response.ok) {
+                return this.parsePluginSettings(await response.json());
+            }
+            this.log('loadProjectConfigSettings', `Project config not readable (${response.status})`);
+        } catch (error) {
+            this.logError('loadProjectConfigSettings', error);
+        }
+        return {};
+    }
+    
+    /**
+     * Extract typed plugin settings from project properties
+     * @param {Object} properties project config map
+     * @returns {Object} only the settings an admin has set
+     */
+    parsePluginSettings(properties) {
+        const settings = {};
+        const positiveNumber = (value) => {
+            const number = parseFloat(value);
+            return isNaN(number) || number <= 0 ? null : number;
+        };
+        const parsers = {
+            timeWindow: (value) => {
+                const days = parseInt(value);
+                return isNaN(days) || days < 1 ? null : days;
+            },
+            showZeroExecutions: (value) => String(value).trim() === 'true',
+            cacheTtlHours: positiveNumber,
+            cacheFreshnessHours: positiveNumber,
+            cacheRetentionDays: positiveNumber,
+            workerConcurrency: (value) => {
+                const count = parseInt(value);
+                return isNaN(count) || count < 1 ? null : count;
+            }
+        };
+        
+        Object.entries(parsers).forEach(([name, parse]) => {
+            const raw = properties?.[this.SETTINGS_PREFIX + name];
+            if (raw === undefined || raw === null || String(raw).trim() === '') {
+                return;
+            }
+            const value = parse(raw);
+            if (value !== null) {
+                settings[name] = value;
+            }
+        });
+        return settings;
+    }
+    
+    /**
+     * Apply cache and worker settings. A value saved in localStorage under the
+     * same name overrides the admin default for this browser.
+     * @param {Object} settings from loadPluginSettings
+     */
+    applySettings(settings) {
+        const override = (name) => {
+            const saved = parseFloat(localStorage.getItem(this.SETTINGS_STORAGE_PREFIX + name));
+            return isNaN(saved) || saved <= 0 ? settings[name] : saved;
+        };
+        this.settings = settings;
+        
+        const ttlHours = override('cacheTtlHours');
+        if (ttlHours) {
+            this.EXECUTION_CACHE_TTL = 1000 * 60 * 60 * ttlHours;
+        }
+        const freshnessHours = override('cacheFreshnessHours');
+        if (freshnessHours) {
+            this.CACHE_FRESHNESS_THRESHOLD = freshnessHours;
+        }
+        const retentionDays = override('cacheRetentionDays');
+        if (retentionDays) {
+            this.CACHE_RETENTION_DAYS = retentionDays;
+        }
+        const concurrency = override('workerConcurrency');
+        if (concurrency) {
+            this.WORKER_CONCURRENCY = Math.floor(concurrency);
+            if (this.worker) {
+                this.worker.postMessage({
+                    type: 'configure',
+                    data: { maxConcurrent: this.WORKER_CONCURRENCY }
+                });
+            }
+        }
+        
+        this.logGroup('applySettings', {
+            cacheTtlHours: this.EXECUTION_CACHE_TTL / (1000 * 60 * 60),
+            cacheFreshnessHours: this.CACHE_FRESHNESS_THRESHOLD,
+            cacheRetentionDays: this.CACHE_RETENTION_DAYS,
+            workerConcurrency: this.WORKER_CONCURRENCY || 'worker default'
+        });
+    }
+    
+    setupCrossTabChannel() {
+        if (typeof BroadcastChannel === 'undefined') {
+            this.log('setupCrossTabChannel', 'BroadcastChannel not supported, tabs will not share cache updates');
+            return;
+        }
+        try {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (event) => {
+                const { type, jobId, dateRange } = event.data || {};
+                if (type !== 'cacheUpdated' || !jobId) {
+                    return;
+                }
+                this.log('crossTab', `Cache updated in another tab for job ${jobId}`, dateRange);
+                this.cacheUpdateListeners.forEach(listener => {
+                    try {
+                        listener(jobId, dateRange);
+                    } catch (error) {
+                        this.logError('crossTab:listener', error, { jobId });
+                    }
+                });
+            };
+        } catch (error) {
+            this.logError('setupCrossTabChannel', error);
+            this.channel = null;
+        }
+    }
+    
+    /**
+     * Register a callback for cache writes made by other tabs on the same project
+     * @param {function(string, Object)} listener called with the job ID and the range written
+     */
+    onCacheUpdated(listener) {
+        this.cacheUpdateListeners.push(listener);
+    }
+    
+    broadcastCacheUpdate(jobId, dateRange) {
+        if (!this.channel) {
+            return;
+        }
+        try {
+            this.channel.postMessage({ type: 'cacheUpdated', jobId, dateRange });
+        } catch (error) {
+            this.logError('broadcastCacheUpdate', error, { jobId });
+        }
+    }
+    
+    /**
+     * Run a fetch while holding a lock shared by every tab on this project, so only one
+     * tab fetches a given key at a time. Without Web Locks it just runs.
+     */
+    async withCrossTabLock(key, fn) {
+        if (!navigator.locks) {
+            return fn();
+        }
+        return navigator.locks.request(`${this.channelName}.${key}`, fn);
+    }
+    
     /**
      * Sets up handlers to terminate workers on page navigation
      * This follows the same pattern used in ROI summary plugin
@@ -146,6 +436,9 @@ class ExecutionDataManager {
             window.addEventListener('beforeunload', () => {
                 this.log('setupNavigationHandlers', 'Terminating worker due to page unload', 'navigation');
                 this.terminateWorker();
+                if (this.channel) {
+                    this.channel.close();
+                }
             });
             
             this.log('setupNavigationHandlers', 'Navigation handlers set up successfully');
@@ -411,59 +704,19 @@ class ExecutionDataManager {
                     connections.roiDb = null;
                 }
                 
-                // 2. Create/connect to our own database for writing
-                const request = indexedDB.open(this.DB_CONFIG.name, this.DB_CONFIG.version);
-                
-                request.onerror = (event) => {
-                    const error = new Error('Failed to open Job Metrics database: ' + (request.error || 'Unknown error'));
-                    this.logError('initDb', error);
-                    this.dbPromise = null;
-                    this.dbInitializing = false;
-                    reject(error);
-                };
-                
-                request.onsuccess = () => {
-                    connections.db = request.result;
-                    
-                    // Enable auto-closing connections to avoid blocking issues
-                    connections.db.onversionchange = () => {
-                        connections.db.close();
-                        this.log('initDb', 'Database connection closed due to version change');
-                        this.db = null;
-                        this.dbInitialized = false;
-                    };
-                    
-                    this.log('initDb', 'Successfully connected to Job Metrics database', {
-                        name: this.DB_CONFIG.name,
-                        stores: Array.from(connections.db.objectStoreNames)
-                    });
-                    
-                    completedConnections++;
-                    checkComplete();
-                };
-                
-                // Create schema for our database if needed
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-                    
-                    this.log('initDb', 'Creating Job Metrics database schema', {
-                        name: this.DB_CONFIG.name,
-                        version: this.DB_CONFIG.version
+                // 2. Create/connect to our own database for writing, migrating it if needed
+                this.openOwnDb()
+                    .then(db => {
+                        connections.db = db;
+                        completedConnections++;
+                        checkComplete();
+                    })
+                    .catch(error => {
+                        this.logError('initDb', error);
+                        this.dbPromise = null;
+                        this.dbInitializing = false;
+                        reject(error);
                     });
-                    
-                    // Create object stores if they don't exist
-                    if (!db.objectStoreNames.contains(this.DB_CONFIG.stores.jobCache)) {
-                        db.createObjectStore(this.DB_CONFIG.stores.jobCache, { keyPath: 'id' });
-                    }
-                    
-                    if (!db.objectStoreNames.contains(this.DB_CONFIG.stores.executionCache)) {
-                        db.createObjectStore(this.DB_CONFIG.stores.executionCache, { keyPath: 'id' });
-                    }
-                    
-                    if (!db.objectStoreNames.contains(this.DB_CONFIG.stores.metrics)) {
-                        db.createObjectStore(this.DB_CONFIG.stores.metrics, { keyPath: 'id' });
-                    }
-                };
                 
             } catch (error) {
                 this.logError('initDb', error);
@@ -476,6 +729,197 @@ class ExecutionDataManager {
         return this.dbPromise;
     }
     
+    /**
+     * Open our database at DB_CONFIG.version, running the migrations it's missing.
+     * If a migration fails the upgrade is aborted, and the database is deleted and
+     * rebuilt from scratch; everything in it is a cache that can be fetched again.
+     * @param {boolean} allowRebuild false on the attempt after a rebuild
+     * @returns {Promise<IDBDatabase>}
+     */
+    openOwnDb(allowRebuild = true) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_CONFIG.name, this.DB_CONFIG.version);
+            let upgradeStarted = false;
+            let blockedTimer = null;
+            
+            request.onupgradeneeded = (event) => {
+                upgradeStarted = true;
+                const transaction = request.transaction;
+                this.runMigrations(request.result, transaction, event.oldVersion, event.newVersion)
+                    .catch(error => {
+                        this.logError('openOwnDb:migration', error, {
+                            fromVersion: event.oldVersion,
+                            toVersion: event.newVersion
+                        });
+                        try {
+                            transaction.abort();
+                        } catch (abortError) {
+                            // Already aborted by the failed request
+                        }
+                    });
+            };
+            
+            // Another tab still has an older version open; its onversionchange handler
+            // should close it, but a frozen or outdated tab may never do so
+            request.onblocked = () => {
+                this.log('openOwnDb', 'Database upgrade blocked by a connection in another tab, waiting for it to close');
+                blockedTimer = setTimeout(() => {
+                    reject(new Error('Job Metrics database upgrade blocked by another tab'));
+                }, this.DB_BLOCKED_TIMEOUT);
+            };
+            
+            request.onerror = () => {
+                clearTimeout(blockedTimer);
+                // A migration that threw or whose requests failed aborts the whole upgrade
+                if (upgradeStarted && allowRebuild) {
+                    this.rebuildOwnDb().then(resolve, reject);
+                    return;
+                }
+                reject(new Error('Failed to open Job Metrics database: ' + (request.error || 'Unknown error')));
+            };
+            
+            request.onsuccess = () => {
+                clearTimeout(blockedTimer);
+                const db = request.result;
+                
+                // Enable auto-closing connections to avoid blocking issues
+                // Another tab is upgrading or deleting the database; drop the cached connection
+                // promise too, so the next access opens a new connection instead of the closed one
+                db.onversionchange = () => {
+                    db.close();
+                    this.log('initDb', 'Database connection closed due to version change');
+                    this.db = null;
+                    this.dbInitialized = false;
+                    this.dbPromise = null;
+                    this.dbInitializing = false;
+                };
+                
+                this.log('initDb', 'Successfully connected to Job Metrics database', {
+                    name: this.DB_CONFIG.name,
+                    version: db.version,
+                    stores: Array.from(db.objectStoreNames)
+                });
+                resolve(db);
+            };
+        });
+    }
+    
+    // Apply each migration step newer than the stored version, in order, each after the previous finishes
+    runMigrations(db, transaction, oldVersion, newVersion) {
+        return this.DB_MIGRATIONS
+            .filter(step => step.version > oldVersion && step.version <= newVersion)
+            .sort((a, b) => a.version - b.version)
+            .reduce((previous, step) => previous.then(() => {
+                this.log('runMigrations', `Migrating Job Metrics database to version ${step.version}: ${step.description}`);
+                return step.migrate(db, transaction);
+            }), Promise.resolve());
+    }
+    
+    /**
+     * Migration to version 2: index job and execution cache entries by project.
+     * Execution entries take the project from their executions; job entries take it
+     * from their job's execution entry. Entries that can't be attributed are dropped,
+     * the next page load for their project fetches them again.
+     */
+    migrateProjectPartitions(transaction) {
+        const { executionCache, jobCache } = this.DB_CONFIG.stores;
+        const jobProjects = new Map();
+        
+        const backfill = (storeName, projectOf) => new Promise((resolve, reject) => {
+            const store = transaction.objectStore(storeName);
+            if (!store.indexNames.contains(this.DB_CONFIG.projectIndex)) {
+                store.createIndex(this.DB_CONFIG.projectIndex, 'project', { unique: false });
+            }
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                const entry = cursor.value;
+                const project = entry.project || projectOf(entry);
+                if (!project) {
+                    cursor.delete();
+                } else {
+                    jobProjects.set(entry.jobId || entry.id, project);
+                    if (entry.project !== project) {
+                        cursor.update({ ...entry, project });
+                    }
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+        
+        return backfill(executionCache, entry => {
+            const exec = Array.isArray(entry.data) ? entry.data.find(exec => exec.project) : null;
+            return exec ? exec.project : null;
+        }).then(() => backfill(jobCache, entry => jobProjects.get(entry.id)));
+    }
+    
+    /**
+     * Migration to version 3: one row per execution in the executions store, so range
+     * queries read only the days they need. Each executionCache entry keeps its
+     * coverage and timestamps, and loses its `data` array.
+     */
+    migrateExecutionStore(db, transaction) {
+        const { executionCache, executions } = this.DB_CONFIG.stores;
+        const indexes = this.DB_CONFIG.executionIndexes;
+        
+        if (!db.objectStoreNames.contains(executions)) {
+            const store = db.createObjectStore(executions, { keyPath: 'id' });
+            store.createIndex(indexes.jobStarted, ['jobId', 'startedAt'], { unique: false });
+            store.createIndex(indexes.started, 'startedAt', { unique: false });
+            store.createIndex(indexes.projectStarted, ['project', 'startedAt'], { unique: false });
+        }
+        
+        const rowStore = transaction.objectStore(executions);
+        return new Promise((resolve, reject) => {
+            const request = transaction.objectStore(executionCache).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                const { data, ...entry } = cursor.value;
+                const rows = (Array.isArray(data) ? data : [])
+                    .map(exec => this.toExecutionRow(exec, entry.jobId || entry.id, entry.project));
+                rows.forEach(row => rowStore.put(row));
+                cursor.update({ ...entry, ...this.summarizeExecutionRows(rows) });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Delete our database and open it again, which runs every migration on an empty schema
+    async rebuildOwnDb() {
+        this.log('rebuildOwnDb', 'Migration failed, rebuilding the Job Metrics database from scratch');
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.DB_CONFIG.name);
+            let blockedTimer = null;
+            request.onsuccess = () => {
+                clearTimeout(blockedTimer);
+                resolve();
+            };
+            request.onerror = () => {
+                clearTimeout(blockedTimer);
+                reject(new Error('Failed to delete Job Metrics database: ' + (request.error || 'Unknown error')));
+            };
+            // As in openOwnDb, don't hang the page load on a tab that never closes its connection
+            request.onblocked = () => {
+                this.log('rebuildOwnDb', 'Delete blocked by a connection in another tab, waiting for it to close');
+                blockedTimer = setTimeout(() => {
+                    reject(new Error('Job Metrics database rebuild blocked by another tab'));
+                }, this.DB_BLOCKED_TIMEOUT);
+            };
+        });
+        this.processedJobRegistry.clear();
+        return this.openOwnDb(false);
+    }
+    
     /**
      * Restore the job registry from our cache and ROI plugin's cache
      * This helps us avoid unnecessary API calls
@@ -490,8 +934,8 @@ class ExecutionDataManager {
             
             this.log('restoreJobRegistry', 'Restoring job registry from IndexedDB');
             
-            // Get all job cache entries from our cache
-            const allEntries = await this.getAllEntries(this.DB_CONFIG.stores.jobCache);
+            // Get this project's job cache entries from our cache
+            const allEntries = await this.getProjectEntries(this.DB_CONFIG.stores.jobCache);
             if (!allEntries || allEntries.length === 0) {
                 this.log('restoreJobRegistry', 'No cached job entries found in our cache');
             } else {
@@ -534,6 +978,10 @@ class ExecutionDataManager {
                         const now = Date.now();
                         
                         roiEntries.forEach(entry => {
+                            // ROI entries may not record a project; skip only those known to be elsewhere
+                            if (entry && entry.project && entry.project !== this.projectName) {
+                                return;
+                            }
                             if (entry && entry.id && 'hasRoi' in entry) {
                                 // Skip if we already have more recent info in our registry
                                 if (this.processedJobRegistry.has(entry.id)) {
@@ -551,21 +999,12 @@ class ExecutionDataManager {
                                 });
                                 validRoiEntries++;
                                 
-                                // Also copy to our own cache for future use
-                                const jobInfo = {
-                                    id: entry.id,
-                                    timestamp: now,
-                                    hasRoi: !!entry.hasRoi,
-                                    fromRoi: true
-                                };
-                                
-                                // Store asynchronously
-                                this.set(this.DB_CONFIG.stores.jobCache, jobInfo)
-                                    .catch(err => this.logError('restoreJobRegistry:cacheError', err, { jobId: entry.id }));
+                                // Not copied to our own cache here: without a project we can't
+                                // partition it. checkJobHasRoiMetrics copies it once the job is seen.
                             }
                         });
                         
-                        console.log(`DEBUG: restoreJobRegistry - Found ${roiEntries.length} entries in ROI job cache, copied ${validRoiEntries} to our cache`);
+                        console.log(`DEBUG: restoreJobRegistry - Found ${roiEntries.length} entries in ROI job cache, registered ${validRoiEntries}`);
                         this.log('restoreJobRegistry:roiCache', `Found ${roiEntries.length} entries in ROI job cache, ${validRoiEntries} had valid ROI status`);
                     } else {
                         this.log('restoreJobRegistry', 'No entries found in ROI job cache');
@@ -604,8 +1043,8 @@ class ExecutionDataManager {
             
             this.log('restoreExecutionRegistry', 'Examining execution cache entries');
             
-            // List all execution cache entries
-            const allEntries = await this.listStoreKeys(this.DB_CONFIG.stores.executionCache);
+            // List this project's execution cache entries
+            const allEntries = await this.getProjectEntries(this.DB_CONFIG.stores.executionCache, true);
             
             console.log(`DEBUG: restoreExecutionRegistry found ${allEntries.length} existing executions in cache - THIS MAY EXPLAIN CACHE HITS`);
             this.logGroup('restoreExecutionRegistry', {
@@ -842,6 +1281,11 @@ class ExecutionDataManager {
                 throw new Error('Job Metrics database not initialized');
             }
             
+            // Partitioned entries belong to the project this manager was created for
+            if (this.DB_CONFIG.projectStores.includes(storeName) && !value.project) {
+                value = { ...value, project: this.projectName };
+            }
+            
             return new Promise((resolve, reject) => {
                 try {
                     const transaction = db.transaction(storeName, 'readwrite');
@@ -880,6 +1324,278 @@ class ExecutionDataManager {
         }
     }
     
+    // Delete an entry from our own database; the ROI plugin's database is never written
+    async delete(storeName, key) {
+        const { db } = await this.ensureDbConnection();
+        if (!db) {
+            throw new Error('Job Metrics database not initialized');
+        }
+        
+        return new Promise((resolve, reject) => {
+            try {
+                const transaction = db.transaction(storeName, 'readwrite');
+                transaction.objectStore(storeName).delete(key);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => {
+                    reject(new Error(`Failed to delete ${key} from ${storeName}: ${transaction.error || 'Unknown error'}`));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * Walk every entry of one of our stores in a single readwrite transaction, so
+     * concurrent cache writes can't be overwritten with stale copies
+     * @param {function(Object): (Object|null|undefined)} fn returns a replacement entry,
+     *        null to delete the entry, or undefined to leave it
+     * @param {string|null} project only walk this project's entries; null walks every project
+     * @returns {Promise<{updated: number, deleted: number}>}
+     */
+    async updateEntries(storeName, fn, project = null) {
+        const { db } = await this.ensureDbConnection();
+        if (!db) {
+            throw new Error('Job Metrics database not initialized');
+        }
+        
+        return new Promise((resolve, reject) => {
+            const counts = { updated: 0, deleted: 0 };
+            try {
+                const transaction = db.transaction(storeName, 'readwrite');
+                const store = transaction.objectStore(storeName);
+                const request = project === null
+                    ? store.openCursor()
+                    : store.index(this.DB_CONFIG.projectIndex).openCursor(IDBKeyRange.only(project));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    const replacement = fn(cursor.value);
+                    if (replacement === null) {
+                        cursor.delete();
+                        counts.deleted++;
+                    } else if (replacement !== undefined) {
+                        cursor.update(replacement);
+                        counts.updated++;
+                    }
+                    cursor.continue();
+                };
+                transaction.oncomplete = () => resolve(counts);
+                transaction.onerror = () => {
+                    reject(new Error(`Failed to update ${storeName}: ${transaction.error || 'Unknown error'}`));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    // One row of the executions store: the execution as fetched, plus its indexed keys
+    toExecutionRow(execution, jobId, project) {
+        return {
+            ...execution,
+            jobId,
+            project: project || this.projectName,
+            startedAt: ExecutionStats.getStartTime(execution) || 0
+        };
+    }
+    
+    // Figures an executionCache entry keeps about its job's rows, for incremental fetches and stats
+    summarizeExecutionRows(rows) {
+        const summary = { executionCount: 0, newestStartedAt: null, oldestRunningAt: null };
+        rows.forEach(row => {
+            summary.executionCount++;
+            if (!row.startedAt) {
+                return;
+            }
+            if (summary.newestStartedAt === null || row.startedAt > summary.newestStartedAt) {
+                summary.newestStartedAt = row.startedAt;
+            }
+            if (row.status === 'running' &&
+                (summary.oldestRunningAt === null || row.startedAt < summary.oldestRunningAt)) {
+                summary.oldestRunningAt = row.startedAt;
+            }
+        });
+        return summary;
+    }
+    
+    // Key range of a job's rows in the jobStarted index, optionally limited to whole days
+    jobExecutionRange(jobId, dateRange = null) {
+        if (!dateRange) {
+            return IDBKeyRange.bound([jobId, -Infinity], [jobId, Infinity]);
+        }
+        return IDBKeyRange.bound(
+            [jobId, moment(dateRange.begin).startOf('day').valueOf()],
+            [jobId, moment(dateRange.end).endOf('day').valueOf()]
+        );
+    }
+    
+    /**
+     * Write a job's executionCache entry with its executions as rows, in one transaction.
+     * Rows are upserted by execution ID, so only new or changed executions need passing.
+     * The entry's counts are then recomputed from all of the job's rows. Rows are never
+     * dropped here, even outside the entry's coverage; pruneCache removes old ones.
+     * @param {Object} cacheEntry entry with the executions to add in `data`
+     */
+    async storeExecutionEntry(cacheEntry) {
+        const { db } = await this.ensureDbConnection();
+        if (!db) {
+            throw new Error('Job Metrics database not initialized');
+        }
+        
+        const { executionCache, executions } = this.DB_CONFIG.stores;
+        const { data, ...entry } = cacheEntry;
+        const jobId = entry.jobId || entry.id;
+        const project = entry.project || this.projectName;
+        
+        return new Promise((resolve, reject) => {
+            try {
+                const transaction = db.transaction([executionCache, executions], 'readwrite');
+                const rowStore = transaction.objectStore(executions);
+                (data || []).forEach(exec => rowStore.put(this.toExecutionRow(exec, jobId, project)));
+                
+                const retainedRows = [];
+                const request = rowStore.index(this.DB_CONFIG.executionIndexes.jobStarted)
+                    .openCursor(this.jobExecutionRange(jobId));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        transaction.objectStore(executionCache).put({
+                            ...entry,
+                            project,
+                            coverage: this.getCoverage(entry),
+                            ...this.summarizeExecutionRows(retainedRows)
+                        });
+                        return;
+                    }
+                    const { startedAt, status } = cursor.value;
+                    retainedRows.push({ startedAt, status });
+                    cursor.continue();
+                };
+                
+                transaction.oncomplete = () => {
+                    this.log('storeExecutionEntry', `Stored ${(data || []).length} executions for job ${jobId}`, {
+                        executionCount: retainedRows.length
+                    });
+                    resolve();
+                };
+                transaction.onerror = () => {
+                    reject(new Error(`Failed to store executions for ${jobId}: ${transaction.error || 'Unknown error'}`));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * A job's cached executions started within a day range, read through the jobStarted index
+     * @param {Object|null} dateRange {begin, end}; null reads every row of the job
+     */
+    async queryJobExecutions(jobId, dateRange = null) {
+        const { db } = await this.ensureDbConnection();
+        if (!db) return [];
+        
+        return new Promise((resolve, reject) => {
+            try {
+                const request = db.transaction(this.DB_CONFIG.stores.executions, 'readonly')
+                    .objectStore(this.DB_CONFIG.stores.executions)
+                    .index(this.DB_CONFIG.executionIndexes.jobStarted)
+                    .getAll(this.jobExecutionRange(jobId, dateRange));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    reject(new Error(`Failed to query executions: ${request.error || 'Unknown error'}`));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * A job's executionCache entry with `data` holding its executions within the range.
+     * Our entries are filled from the executions store, and their `dateRange` is the
+     * covered interval that best matches the range, or null when none touches it.
+     * Entries from the ROI plugin's cache still carry their whole array, as `get` returns them.
+     */
+    async getExecutionCacheEntry(key, dateRange = null) {
+        const entry = await this.get(this.DB_CONFIG.stores.executionCache, key);
+        if (!entry || Array.isArray(entry.data)) {
+            return entry;
+        }
+        return {
+            ...entry,
+            dateRange: dateRange ? this.resolveCoverage(entry, dateRange) : entry.dateRange,
+            data: await this.queryJobExecutions(entry.jobId || entry.id, dateRange)
+        };
+    }
+    
+    /**
+     * Fold over this project's cached executions in start order with a cursor on the
+     * projectStarted index, without loading every job's executions at once
+     * @param {Object|null} dateRange {begin, end}; null walks every cached execution
+     * @param {function(*, Object): *} reducer called with the accumulator and each execution
+     */
+    async aggregateProjectExecutions(dateRange, reducer, initial) {
+        const { db } = await this.ensureDbConnection();
+        const range = dateRange
+            ? IDBKeyRange.bound(
+                [this.projectName, moment(dateRange.begin).startOf('day').valueOf()],
+                [this.projectName, moment(dateRange.end).endOf('day').valueOf()])
+            : IDBKeyRange.bound([this.projectName, -Infinity], [this.projectName, Infinity]);
+        
+        return new Promise((resolve, reject) => {
+            let accumulator = initial;
+            try {
+                const request = db.transaction(this.DB_CONFIG.stores.executions, 'readonly')
+                    .objectStore(this.DB_CONFIG.stores.executions)
+                    .index(this.DB_CONFIG.executionIndexes.projectStarted)
+                    .openCursor(range);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve(accumulator);
+                        return;
+                    }
+                    accumulator = reducer(accumulator, cursor.value);
+                    cursor.continue();
+                };
+                request.onerror = () => {
+                    reject(new Error(`Failed to read project executions: ${request.error || 'Unknown error'}`));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * Read this project's entries from one of our partitioned stores via the project index
+     * @param {boolean} keysOnly return primary keys (job IDs) instead of entries
+     */
+    async getProjectEntries(storeName, keysOnly = false) {
+        try {
+            const { db } = await this.ensureDbConnection();
+            if (!db) return [];
+            
+            return await new Promise((resolve, reject) => {
+                const index = db.transaction(storeName, 'readonly')
+                    .objectStore(storeName)
+                    .index(this.DB_CONFIG.projectIndex);
+                const request = keysOnly
+                    ? index.getAllKeys(IDBKeyRange.only(this.projectName))
+                    : index.getAll(IDBKeyRange.only(this.projectName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    reject(new Error(`Failed to get project entries: ${request.error || 'Unknown error'}`));
+                };
+            });
+        } catch (error) {
+            this.logError('getProjectEntries', error, { storeName, project: this.projectName });
+            return [];
+        }
+    }
+    
     // Get all entries from a store - MODIFIED: check our DB FIRST following the same pattern as 'get'
     async getAllEntries(storeName) {
         try {
@@ -960,12 +1676,58 @@ class ExecutionDataManager {
         });
     }
     
+    /**
+     * Resolve the date range for a request
+     * An explicit {begin, end} range (YYYY-MM-DD) wins; otherwise it's the last `timeWindow` days including today
+     */
+    buildDateRange(timeWindow, dateRange = null) {
+        if (dateRange && dateRange.begin && dateRange.end) {
+            return {
+                begin: moment(dateRange.begin).format('YYYY-MM-DD'),
+                end: moment(dateRange.end).format('YYYY-MM-DD')
+            };
+        }
+
+        return {
+            begin: moment().startOf('day').subtract(timeWindow, 'days').format('YYYY-MM-DD'),
+            end: moment().endOf('day').format('YYYY-MM-DD')
+        };
+    }
+
+    /**
+     * The range of equal length immediately before the given one, for period-over-period comparisons
+     */
+    buildPreviousDateRange(dateRange) {
+        const begin = moment(dateRange.begin);
+        const days = moment(dateRange.end).diff(begin, 'days') + 1;
+
+        return {
+            begin: begin.clone().subtract(days, 'days').format('YYYY-MM-DD'),
+            end: begin.clone().subtract(1, 'days').format('YYYY-MM-DD')
+        };
+    }
+
+    // Get executions for the period before the requested one
+    // The previous period abuts the current one, so once fetched both are served from the same merged cache entry
+    async getPreviousJobExecutions(jobId, timeWindow, requestedRange = null) {
+        const previousRange = this.buildPreviousDateRange(this.buildDateRange(timeWindow, requestedRange));
+        this.log('getPreviousJobExecutions', `Getting previous period executions for job ${jobId}`, previousRange);
+        return this.getJobExecutions(jobId, timeWindow, previousRange);
+    }
+
     // Get executions for a job, leveraging ROI plugin's cache or web worker
-    async getJobExecutions(jobId, timeWindow) {
-        this.log('getJobExecutions', `Getting executions for job ${jobId} with timeWindow ${timeWindow}`);
+    // Pass an explicit dateRange for absolute ranges; timeWindow alone means "last N days"
+    async getJobExecutions(jobId, timeWindow, requestedRange = null) {
+        this.log('getJobExecutions', `Getting executions for job ${jobId} with timeWindow ${timeWindow}`, requestedRange);
         
         // Sync time window with ROI Summary to keep plugins in sync
-        this.synchronizeTimeWindowWithRoi(timeWindow);
+        // ROI Summary only understands "last N days", so absolute ranges aren't synced
+        if (!requestedRange && this.syncRoiTimeWindow) {
+            this.synchronizeTimeWindowWithRoi(timeWindow);
+        }
+
+        // Build the date range for this request
+        const dateRange = this.buildDateRange(timeWindow, requestedRange);
 
         // Worker-only implementation - we're excluding direct AJAX calls to avoid race conditions
         
@@ -976,10 +1738,10 @@ class ExecutionDataManager {
             } catch (dbError) {
                 // If DB is not available, always use worker
                 this.logError('getJobExecutions', new Error('Database not available, using worker'), { cause: dbError });
-                const executions = await this.fetchExecutionsWithWorker(jobId, timeWindow);
+                const executions = await this.fetchExecutionsWithWorker(jobId, timeWindow, dateRange);
                 // Try to cache the results even if DB was not initially available
                 try {
-                    await this.cacheExecutions(jobId, executions, timeWindow);
+                    await this.cacheExecutions(jobId, executions, timeWindow, dateRange);
                 } catch (cacheError) {
                     this.log('getJobExecutions', 'Could not cache executions after worker fetch', { error: cacheError.message });
                 }
@@ -990,19 +1752,13 @@ class ExecutionDataManager {
             // For jobs without ROI metrics, we should always manage their executions ourselves
             const hasRoiMetrics = await this.checkJobHasRoiMetrics(jobId);
             
-            // Build the date range for this request
-            const dateRange = {
-                begin: moment().startOf('day').subtract(timeWindow, 'days').format('YYYY-MM-DD'),
-                end: moment().endOf('day').format('YYYY-MM-DD')
-            };
-            
             // First check our own cache
             const executionCacheKey = jobId;
             let cachedData = null;
             
             try {
                 // Try to get cached data from our executionCache
-                cachedData = await this.get(this.DB_CONFIG.stores.executionCache, executionCacheKey);
+                cachedData = await this.getExecutionCacheEntry(executionCacheKey, dateRange);
                 
                 if (cachedData) {
                     console.log(`DEBUG: Found cached data for ${jobId} in our cache`, {
@@ -1019,7 +1775,7 @@ class ExecutionDataManager {
                     // Try alternative key formats that might be used by ROI plugin
                     const sanitizedKey = jobId.replace(/[^a-zA-Z0-9-]/g, '_');
                     if (sanitizedKey !== jobId) {
-                        cachedData = await this.get(this.DB_CONFIG.stores.executionCache, sanitizedKey);
+                        cachedData = await this.getExecutionCacheEntry(sanitizedKey, dateRange);
                     }
                 }
                 
@@ -1044,7 +1800,7 @@ class ExecutionDataManager {
                         };
                         
                         // Store in our cache asynchronously
-                        this.set(this.DB_CONFIG.stores.executionCache, copiedData)
+                        this.storeExecutionEntry(copiedData)
                             .catch(err => this.logError('getJobExecutions:copyCache', err, { jobId }));
                     }
                 }
@@ -1080,8 +1836,10 @@ class ExecutionDataManager {
                         // Only check the date range
                         let needsRefresh = false;
                         
-                        // Check if date range is covered
-                        if (dateRange && cachedData.dateRange) {
+                        // Check if date range is covered; a null range means nothing cached touches it
+                        if (dateRange && !cachedData.dateRange) {
+                            needsRefresh = true;
+                        } else if (dateRange && cachedData.dateRange) {
                             // Normalize dates by explicitly setting to start/end of day to ensure consistent comparison
                             const requestedBegin = moment(dateRange.begin).startOf('day');
                             const requestedEnd = moment(dateRange.end).endOf('day');
@@ -1137,14 +1895,8 @@ class ExecutionDataManager {
                             
                             this.metrics.cacheHits++;
                             
-                            // Filter by date if needed
-                            let result;
-                            if (timeWindow && timeWindow > 0) {
-                                const cutoffDate = moment().startOf('day').subtract(timeWindow, 'days');
-                                result = this.filterExecutionsByDate(cachedData.data, cutoffDate);
-                            } else {
-                                result = cachedData.data;
-                            }
+                            // Filter to the requested range
+                            const result = this.filterExecutionsByRange(cachedData.data, dateRange);
                             
                             console.log(`DEBUG: Returning ${result.length} cached executions for non-ROI job ${jobId} - should not happen on first load`);
                             return result;
@@ -1156,56 +1908,14 @@ class ExecutionDataManager {
                         age: `${(dataAge / (1000 * 60 * 60)).toFixed(1)} hours`
                     });
                     
-                    // Use the worker to get new data for the job without ROI
-                    const freshExecutions = await this.fetchExecutionsWithWorker(jobId, timeWindow);
-                    
-                    // If we got fresh data, merge with any existing cached data
-                    if (freshExecutions && freshExecutions.length > 0) {
-                        this.log('getJobExecutions', `Got ${freshExecutions.length} fresh executions for non-ROI job, merging with cached`);
-                        
-                        try {
-                            // Create a map to deduplicate executions by ID
-                            const executionMap = new Map();
-                            
-                            // Add cached executions to the map
-                            cachedData.data.forEach(exec => {
-                                executionMap.set(exec.id, exec);
-                            });
-                            
-                            // Add fresh executions (will overwrite if same ID)
-                            freshExecutions.forEach(exec => {
-                                executionMap.set(exec.id, exec);
-                            });
-                            
-                            // Convert back to array
-                            const mergedExecutions = Array.from(executionMap.values());
-                            
-                            // Update cache with merged data
-                            await this.cacheExecutions(jobId, mergedExecutions, timeWindow);
-                            
-                            // Filter by date range if needed
-                            if (timeWindow && timeWindow > 0) {
-                                const cutoffDate = moment().startOf('day').subtract(timeWindow, 'days');
-                                return this.filterExecutionsByDate(mergedExecutions, cutoffDate);
-                            }
-                            
-                            return mergedExecutions;
-                        } catch (mergeError) {
-                            this.logError('getJobExecutions:merge', mergeError, { jobId });
-                            // If merge fails, return just the fresh data
-                            return freshExecutions;
-                        }
-                    } else {
-                        this.log('getJobExecutions', `No fresh executions found for non-ROI job ${jobId}, using cached data`);
-                        // If no fresh data, use the cached data even if it's stale
-                        return cachedData.data;
-                    }
+                    // Only fetch what the cache is missing and merge it in
+                    return await this.fetchMissingExecutions(jobId, timeWindow, cachedData, dateRange);
                 } else {
                     // No cached data at all for a job without ROI, we must fetch it
                     console.log(`DEBUG: No cached data for non-ROI job ${jobId}, SHOULD be fetching via API`);
                     this.log('getJobExecutions', `No cached data for non-ROI job ${jobId}, fetching for the first time`);
                     this.metrics.cacheMisses++;
-                    return await this.fetchExecutionsWithWorker(jobId, timeWindow);
+                    return await this.fetchExecutionsWithWorker(jobId, timeWindow, dateRange);
                 }
             }
             
@@ -1234,82 +1944,519 @@ class ExecutionDataManager {
                     
                     this.metrics.cacheHits++;
                     
-                    // Filter by date if needed
-                    if (timeWindow && timeWindow > 0) {
-                        const cutoffDate = moment().startOf('day').subtract(timeWindow, 'days');
-                        return this.filterExecutionsByDate(cachedData.data, cutoffDate);
-                    }
-                    
-                    return cachedData.data;
+                    // Filter to the requested range
+                    return this.filterExecutionsByRange(cachedData.data, dateRange);
                 } else {
                     this.log('getJobExecutions', `Cache needs refresh for job ${jobId}, age: ${(dataAge / (1000 * 60 * 60)).toFixed(1)} hours`);
                     
-                    // Use the worker to get new data - no direct API calls
-                    const freshExecutions = await this.fetchExecutionsWithWorker(jobId, timeWindow);
-                        
-                    // If we got fresh data, merge with cached data
-                    if (freshExecutions && freshExecutions.length > 0) {
-                        this.log('getJobExecutions', `Got ${freshExecutions.length} fresh executions, merging with cached`);
-                        
-                        try {
-                            // Create a map to deduplicate executions by ID
-                            const executionMap = new Map();
-                            
-                            // Add cached executions to the map
-                            cachedData.data.forEach(exec => {
-                                executionMap.set(exec.id, exec);
-                            });
-                            
-                            // Add fresh executions (will overwrite if same ID)
-                            freshExecutions.forEach(exec => {
-                                executionMap.set(exec.id, exec);
-                            });
-                            
-                            // Convert back to array
-                            const mergedExecutions = Array.from(executionMap.values());
-                            
-                            // Update cache with merged data
-                            await this.cacheExecutions(jobId, mergedExecutions, timeWindow);
-                            
-                            // Filter by date range if needed
-                            if (timeWindow && timeWindow > 0) {
-                                const cutoffDate = moment().startOf('day').subtract(timeWindow, 'days');
-                                return this.filterExecutionsByDate(mergedExecutions, cutoffDate);
-                            }
-                            
-                            return mergedExecutions;
-                        } catch (mergeError) {
-                            this.logError('getJobExecutions:merge', mergeError, { jobId });
-                            // If merge fails, return just the fresh data
-                            return freshExecutions;
-                        }
-                    } else {
-                        this.log('getJobExecutions', `No fresh executions found for job ${jobId}, using cached data`);
-                        // If no fresh data, use the cached data even if it's stale
-                        return cachedData.data;
-                    }
+                    // Only fetch what the cache is missing and merge it in
+                    return await this.fetchMissingExecutions(jobId, timeWindow, cachedData, dateRange);
+                }
+            }
+            
+            // No cache hit, fetch data
+            this.metrics.cacheMisses++;
+            
+            this.log('getJobExecutions', `Cache miss for job ${jobId}, using worker to fetch data`);
+            return await this.fetchExecutionsWithWorker(jobId, timeWindow, dateRange);
+        } catch (error) {
+            this.logError('getJobExecutions', error, { jobId, timeWindow, dateRange });
+            
+            // Always use worker even on errors
+            return await this.fetchExecutionsWithWorker(jobId, timeWindow, dateRange);
+        }
+    }
+    
+    /**
+     * Keep executions inside the retention window and clamp a range's begin to it
+     * @returns {{executions: Array, dateRange: Object|null}} dateRange is null when it ends before the window
+     */
+    applyRetention(executions, dateRange) {
+        const cutoff = moment().startOf('day').subtract(this.CACHE_RETENTION_DAYS, 'days');
+        const retained = executions.filter(exec => {
+            const startedAt = ExecutionStats.getStartTime(exec);
+            return startedAt === null || startedAt >= cutoff.valueOf();
+        });
+        
+        if (!dateRange || moment(dateRange.end).isBefore(cutoff, 'day')) {
+            return { executions: retained, dateRange: null };
+        }
+        return {
+            executions: retained,
+            dateRange: {
+                begin: moment.max(moment(dateRange.begin), cutoff).format('YYYY-MM-DD'),
+                end: dateRange.end
+            }
+        };
+    }
+    
+    /**
+     * Day intervals a cache entry holds every execution for, oldest first. Entries written
+     * before coverage was tracked, and the ROI plugin's, only have a single dateRange.
+     * @returns {Array<{begin, end}>}
+     */
+    getCoverage(entry) {
+        if (Array.isArray(entry?.coverage)) {
+            return entry.coverage;
+        }
+        return entry?.dateRange ? [entry.dateRange] : [];
+    }
+    
+    /**
+     * Add a day interval to a coverage list, merging intervals that overlap or touch
+     * @returns {Array<{begin, end}>} sorted by begin
+     */
+    addCoverage(coverage, dateRange) {
+        return [...coverage, dateRange]
+            .sort((a, b) => moment(a.begin).valueOf() - moment(b.begin).valueOf())
+            .reduce((merged, interval) => {
+                const last = merged[merged.length - 1];
+                if (last && !moment(last.end).add(1, 'days').isBefore(interval.begin, 'day')) {
+                    last.end = moment.max(moment(last.end), moment(interval.end)).format('YYYY-MM-DD');
+                } else {
+                    merged.push({ begin: interval.begin, end: interval.end });
                 }
+                return merged;
+            }, []);
+    }
+    
+    // Clamp a coverage list to the retention window, dropping intervals that end before it
+    retainCoverage(coverage) {
+        return coverage
+            .map(interval => this.applyRetention([], interval).dateRange)
+            .filter(interval => interval !== null);
+    }
+    
+    /**
+     * The covered interval sharing the most days with a requested range, the later one on
+     * a tie, or null when none overlaps or touches it. Fetches then fill in around it.
+     */
+    resolveCoverage(entry, dateRange) {
+        const requestedBegin = moment(dateRange.begin).startOf('day');
+        const requestedEnd = moment(dateRange.end).startOf('day');
+        let best = null;
+        let bestDays = -1;
+        this.getCoverage(entry).forEach(interval => {
+            if (!this.isDateRangeOverlappingOrAdjacent(interval, dateRange)) {
+                return;
+            }
+            // Adjacent intervals share no days but can still be extended
+            const days = Math.max(0, moment.min(requestedEnd, moment(interval.end).startOf('day'))
+                .diff(moment.max(requestedBegin, moment(interval.begin).startOf('day')), 'days') + 1);
+            if (days >= bestDays) {
+                best = interval;
+                bestDays = days;
+            }
+        });
+        return best;
+    }
+    
+    /**
+     * Describe what's cached for this project, for the cache management panel
+     */
+    async getCacheSummary() {
+        const entries = await this.getProjectEntries(this.DB_CONFIG.stores.executionCache);
+        
+        // Walk the project's rows once for per-job totals
+        const rowTotals = await this.aggregateProjectExecutions(null, (totals, row) => {
+            const total = totals.get(row.jobId) || { executionCount: 0, approxBytes: 0 };
+            total.executionCount++;
+            total.approxBytes += JSON.stringify(row).length;
+            return totals.set(row.jobId, total);
+        }, new Map());
+        
+        const projectEntries = entries
+            .map(entry => ({
+                jobId: entry.jobId || entry.id,
+                executionCount: rowTotals.get(entry.jobId || entry.id)?.executionCount || 0,
+                approxBytes: JSON.stringify(entry).length +
+                    (rowTotals.get(entry.jobId || entry.id)?.approxBytes || 0),
+                timestamp: entry.timestamp || null,
+                dateRange: entry.dateRange || null,
+                coverage: this.getCoverage(entry),
+                sharedWithRoi: entry.hasRoi === true
+            }));
+        
+        let storageUsage = null;
+        try {
+            if (navigator.storage && navigator.storage.estimate) {
+                storageUsage = (await navigator.storage.estimate()).usage;
             }
-            
-            // No cache hit, fetch data
-            this.metrics.cacheMisses++;
-            
-            this.log('getJobExecutions', `Cache miss for job ${jobId}, using worker to fetch data`);
-            return await this.fetchExecutionsWithWorker(jobId, timeWindow);
         } catch (error) {
-            this.logError('getJobExecutions', error, { jobId, timeWindow });
+            this.log('getCacheSummary', `Storage estimate unavailable: ${error.message}`);
+        }
+        
+        return {
+            entries: projectEntries,
+            executionCount: projectEntries.reduce((total, entry) => total + entry.executionCount, 0),
+            approxBytes: projectEntries.reduce((total, entry) => total + entry.approxBytes, 0),
+            sharedWithRoiCount: projectEntries.filter(entry => entry.sharedWithRoi).length,
+            storageUsage,
+            retentionDays: this.CACHE_RETENTION_DAYS
+        };
+    }
+    
+    // Remove a job's cached executions; the next load fetches them again
+    async purgeJobCache(jobId) {
+        await this.delete(this.DB_CONFIG.stores.executionCache, jobId);
+        await this.deleteExecutionRows(this.DB_CONFIG.executionIndexes.jobStarted, this.jobExecutionRange(jobId));
+        this.partialFetches.delete(jobId);
+        this.log('purgeJobCache', `Purged cached executions for job ${jobId}`);
+    }
+    
+    async purgeProjectCache() {
+        const { deleted } = await this.updateEntries(this.DB_CONFIG.stores.executionCache,
+            () => null, this.projectName);
+        await this.deleteExecutionRows(this.DB_CONFIG.executionIndexes.projectStarted,
+            IDBKeyRange.bound([this.projectName, -Infinity], [this.projectName, Infinity]));
+        this.partialFetches.clear();
+        this.log('purgeProjectCache', `Purged ${deleted} cache entries for project ${this.projectName}`);
+        return deleted;
+    }
+    
+    // Mark this project's entries as expired so the next load refetches their whole range
+    async expireProjectCache() {
+        const { updated } = await this.updateEntries(this.DB_CONFIG.stores.executionCache,
+            entry => ({ ...entry, timestamp: 0 }), this.projectName);
+        return updated;
+    }
+    
+    // Save this browser's retention window, overriding the admin default
+    setRetentionDays(days) {
+        const retentionDays = parseFloat(days);
+        if (isNaN(retentionDays) || retentionDays <= 0) {
+            return false;
+        }
+        localStorage.setItem(this.SETTINGS_STORAGE_PREFIX + 'cacheRetentionDays', String(retentionDays));
+        this.CACHE_RETENTION_DAYS = retentionDays;
+        return true;
+    }
+    
+    /**
+     * Delete execution rows within a key range of one of the executions store's indexes
+     * @returns {Promise<Map<string, number>>} rows deleted per job
+     */
+    async deleteExecutionRows(indexName, range) {
+        const { db } = await this.ensureDbConnection();
+        if (!db) {
+            throw new Error('Job Metrics database not initialized');
+        }
+        
+        return new Promise((resolve, reject) => {
+            const deletedByJob = new Map();
+            try {
+                const transaction = db.transaction(this.DB_CONFIG.stores.executions, 'readwrite');
+                const request = transaction.objectStore(this.DB_CONFIG.stores.executions)
+                    .index(indexName)
+                    .openCursor(range);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    deletedByJob.set(cursor.value.jobId, (deletedByJob.get(cursor.value.jobId) || 0) + 1);
+                    cursor.delete();
+                    cursor.continue();
+                };
+                transaction.oncomplete = () => resolve(deletedByJob);
+                transaction.onerror = () => {
+                    reject(new Error(`Failed to delete executions: ${transaction.error || 'Unknown error'}`));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * Prune every project's cache to the retention window, deleting entries left with nothing
+     * Runs in the background on page load
+     */
+    async pruneCache() {
+        try {
+            // Rows with an unknown start time (0) are kept, as applyRetention does
+            const cutoff = moment().startOf('day').subtract(this.CACHE_RETENTION_DAYS, 'days').valueOf();
+            const deletedByJob = await this.deleteExecutionRows(this.DB_CONFIG.executionIndexes.started,
+                IDBKeyRange.bound(1, cutoff, false, true));
+            
+            const counts = await this.updateEntries(this.DB_CONFIG.stores.executionCache, entry => {
+                const coverage = this.getCoverage(entry);
+                const retained = this.retainCoverage(coverage);
+                if (retained.length === 0) {
+                    return null;
+                }
+                const deleted = deletedByJob.get(entry.jobId || entry.id) || 0;
+                if (deleted === 0 && JSON.stringify(retained) === JSON.stringify(coverage)) {
+                    return undefined;
+                }
+                return {
+                    ...entry,
+                    coverage: retained,
+                    dateRange: { begin: retained[0].begin, end: retained[retained.length - 1].end },
+                    executionCount: Math.max(0, (entry.executionCount || 0) - deleted)
+                };
+            });
             
-            // Always use worker even on errors
-            return await this.fetchExecutionsWithWorker(jobId, timeWindow);
+            this.logGroup('pruneCache', {
+                executionsDeleted: Array.from(deletedByJob.values()).reduce((total, count) => total + count, 0),
+                pruned: counts.updated,
+                deleted: counts.deleted,
+                retentionDays: this.CACHE_RETENTION_DAYS
+            });
+        } catch (error) {
+            this.logError('pruneCache', error);
+        }
+    }
+    
+    /**
+     * Whether the executions last returned for a job are incomplete for the given range,
+     * because the server kept failing or throttling before every page was fetched
+     * @returns {{dateRange, reason, timestamp}|null}
+     */
+    getPartialFetch(jobId, dateRange) {
+        const partial = this.partialFetches.get(jobId);
+        if (!partial) {
+            return null;
+        }
+        if (partial.dateRange && dateRange && !(
+            moment(partial.dateRange.begin).isSameOrBefore(dateRange.end, 'day') &&
+            moment(partial.dateRange.end).isSameOrAfter(dateRange.begin, 'day'))) {
+            return null;
+        }
+        return partial;
+    }
+    
+    /**
+     * Work out which parts of a requested range a cache entry is missing.
+     * Newer executions are fetched from the newest one held, or from the oldest
+     * one still running since its outcome may have changed, through the later of the
+     * requested and cached ends. A widened window fetches the older days in front of
+     * the cached range. Both segments reach the cached range, so a requested range
+     * that doesn't touch it leaves no unfetched gap once merged.
+     * @returns {Array<{begin, end, since}>} ranges to fetch; `since` is an exact start for the API
+     */
+    planIncrementalFetch(cachedData, dateRange) {
+        const now = Date.now();
+        const cachedRange = cachedData?.dateRange;
+        if (!cachedRange || !Array.isArray(cachedData.data) || !cachedData.timestamp ||
+            now - cachedData.timestamp >= this.EXECUTION_CACHE_TTL) {
+            return [dateRange];
+        }
+        
+        const segments = [];
+        const requestedBegin = moment(dateRange.begin).startOf('day');
+        const requestedEnd = moment(dateRange.end).startOf('day');
+        const cachedBegin = moment(cachedRange.begin).startOf('day');
+        const cachedEnd = moment(cachedRange.end).startOf('day');
+        
+        // Older days the cache never held
+        if (requestedBegin.isBefore(cachedBegin, 'day')) {
+            segments.push({
+                begin: requestedBegin.format('YYYY-MM-DD'),
+                end: cachedBegin.clone().subtract(1, 'days').format('YYYY-MM-DD')
+            });
+        }
+        
+        // Newer executions, when the cache is stale or the range reaches past it
+        const isStale = now - cachedData.timestamp >= this.CACHE_FRESHNESS_THRESHOLD * 60 * 60 * 1000;
+        if (isStale || requestedEnd.isAfter(cachedEnd, 'day')) {
+            const cursor = this.getIncrementalCursor(cachedData);
+            const since = moment(cursor - this.INCREMENTAL_OVERLAP);
+            if (!requestedEnd.isBefore(since, 'day')) {
+                segments.push({
+                    begin: since.clone().startOf('day').format('YYYY-MM-DD'),
+                    end: moment.max(requestedEnd, cachedEnd).format('YYYY-MM-DD'),
+                    since: this.formatApiTime(since)
+                });
+            }
+        }
+        
+        return segments;
+    }
+    
+    // A time as the executions API's `begin` expects it, yyyy-MM-ddTHH:mm:ssZ; dropping the
+    // milliseconds only moves it earlier, so nothing is missed
+    formatApiTime(time) {
+        return moment.utc(time).format('YYYY-MM-DDTHH:mm:ss[Z]');
+    }
+    
+    /**
+     * Timestamp (ms) after which a cache entry may be missing executions: its newest
+     * execution, or the oldest one still running. An entry with no executions is
+     * complete up to when it was written, within its cached range. The cursor never
+     * passes the end of that range, as newer rows may belong to a later interval.
+     */
+    getIncrementalCursor(cachedData) {
+        let cursor = cachedData.newestStartedAt ?? null;
+        let oldestRunning = cachedData.oldestRunningAt ?? null;
+        
+        // Our entries carry both markers; ROI plugin entries are scanned
+        if (cachedData.oldestRunningAt === undefined) {
+            cachedData.data.forEach(execution => {
+                const startedAt = ExecutionStats.getStartTime(execution);
+                if (!startedAt) {
+                    return;
+                }
+                if (cachedData.newestStartedAt === undefined && (cursor === null || startedAt > cursor)) {
+                    cursor = startedAt;
+                }
+                if (execution.status === 'running' && (oldestRunning === null || startedAt < oldestRunning)) {
+                    oldestRunning = startedAt;
+                }
+            });
+        }
+        
+        const rangeEnd = moment(cachedData.dateRange.end).endOf('day').valueOf();
+        cursor = cursor === null ? Math.min(cachedData.timestamp, rangeEnd) : Math.min(cursor, rangeEnd);
+        return oldestRunning !== null ? Math.min(cursor, oldestRunning) : cursor;
+    }
+    
+    /**
+     * Fetch only the executions a cache entry is missing for the requested range,
+     * merge them in through cacheExecutions and return the requested slice
+     */
+    async fetchMissingExecutions(jobId, timeWindow, cachedData, dateRange) {
+        const segments = this.planIncrementalFetch(cachedData, dateRange);
+        this.logGroup('fetchMissingExecutions', {
+            jobId,
+            cachedRange: cachedData.dateRange || 'unknown',
+            requestedRange: dateRange,
+            segments
+        });
+        
+        const freshExecutions = [];
+        let partial = null;
+        for (const segment of segments) {
+            const executions = await this.fetchExecutionsWithWorker(jobId, timeWindow, segment);
+            freshExecutions.push(...(executions || []));
+            partial = partial || this.partialFetches.get(jobId) || null;
+        }
+        // A later complete segment clears the job's flag; keep it for the whole request
+        if (partial) {
+            this.partialFetches.set(jobId, { ...partial, dateRange });
+        }
+        
+        if (segments.length === 0) {
+            this.metrics.cacheHits++;
+        }
+        
+        // Dedupe by ID, fresh copies replacing cached ones
+        const executionMap = new Map();
+        cachedData.data.forEach(exec => executionMap.set(exec.id, exec));
+        freshExecutions.forEach(exec => executionMap.set(exec.id, exec));
+        const mergedExecutions = Array.from(executionMap.values());
+        
+        // Records everything fetched as covered. Our rows are upserted by ID, so only fresh
+        // executions need writing; an entry read from the ROI plugin's cache isn't in our
+        // store yet and is written whole. The timestamp only moves when newer executions
+        // were fetched: older days alone don't make the newest ones any fresher.
+        if (!partial) {
+            const coveredRange = segments.reduce((range, segment) => ({
+                begin: moment.min(moment(range.begin), moment(segment.begin)).format('YYYY-MM-DD'),
+                end: moment.max(moment(range.end), moment(segment.end)).format('YYYY-MM-DD')
+            }), { begin: dateRange.begin, end: dateRange.end });
+            const refreshedNewest = segments.some(segment => !cachedData.dateRange ||
+                !moment(segment.end).isBefore(cachedData.dateRange.begin, 'day'));
+            const toStore = cachedData.executionCount === undefined ? mergedExecutions : freshExecutions;
+            await this.cacheExecutions(jobId, toStore, timeWindow, coveredRange, !refreshedNewest);
+        }
+        
+        return this.filterExecutionsByRange(mergedExecutions, dateRange);
+    }
+    
+    /**
+     * Fill the cache for many jobs with one project-wide executions stream instead of
+     * one paginated request per job. Jobs whose cache already covers the range are
+     * skipped, as are ROI jobs only the ROI plugin has cached. getJobExecutions then
+     * serves every job from the cache; if this fails, it fetches per job as before.
+     * @param {function(Array<string>)} onBulkFetch called with the jobs the project-wide
+     *        query will fill, before it starts, so the others can be read meanwhile
+     * @returns {Promise<boolean>} true if the cache was filled
+     */
+    async prefetchProjectExecutions(jobIds, timeWindow, requestedRange = null, onBulkFetch = null) {
+        const dateRange = this.buildDateRange(timeWindow, requestedRange);
+        const inProgressKey = `bulk_${dateRange.begin}_${dateRange.end}`;
+        if (this.fetchOperationsInProgress.has(inProgressKey)) {
+            return this.fetchOperationsInProgress.get(inProgressKey);
+        }
+        
+        // Other tabs wait here, then find their jobs already cached
+        const prefetchPromise = this.withCrossTabLock(inProgressKey, () =>
+            this._doPrefetchProjectExecutions(jobIds, timeWindow, dateRange, onBulkFetch))
+            .catch(error => {
+                this.logError('prefetchProjectExecutions', error, { jobCount: jobIds.length, dateRange });
+                return false;
+            })
+            .finally(() => this.fetchOperationsInProgress.delete(inProgressKey));
+        this.fetchOperationsInProgress.set(inProgressKey, prefetchPromise);
+        return prefetchPromise;
+    }
+    
+    async _doPrefetchProjectExecutions(jobIds, timeWindow, dateRange, onBulkFetch) {
+        await this.ensureDbConnection();
+        
+        // Collect the missing ranges of every job that needs fetching
+        const staleJobs = [];
+        const segments = [];
+        for (const jobId of jobIds) {
+            const cachedData = await this.getExecutionCacheEntry(jobId, dateRange);
+            if (!cachedData || !Array.isArray(cachedData.data)) {
+                if (await this.checkJobHasRoiMetrics(jobId)) {
+                    continue;
+                }
+                staleJobs.push(jobId);
+                segments.push(dateRange);
+            } else if (await this.needsCacheRefresh(cachedData, dateRange)) {
+                const jobSegments = this.planIncrementalFetch(cachedData, dateRange);
+                if (jobSegments.length > 0) {
+                    staleJobs.push(jobId);
+                    segments.push(...jobSegments);
+                }
+            }
+        }
+        
+        if (staleJobs.length < this.BULK_FETCH_MIN_JOBS) {
+            this.log('prefetchProjectExecutions', `${staleJobs.length} jobs need fetching, using per-job requests`);
+            return false;
+        }
+        
+        // One range spanning every job's missing segments; an exact start only if all of them have one
+        const bulkRange = {
+            begin: moment.min(segments.map(segment => moment(segment.begin))).format('YYYY-MM-DD'),
+            end: moment.max(segments.map(segment => moment(segment.end))).format('YYYY-MM-DD')
+        };
+        if (segments.every(segment => segment.since)) {
+            bulkRange.since = this.formatApiTime(moment.min(segments.map(segment => moment(segment.since))));
+        }
+        
+        this.log('prefetchProjectExecutions', `Fetching project executions for ${staleJobs.length} jobs`, bulkRange);
+        if (onBulkFetch) {
+            onBulkFetch(staleJobs);
+        }
+        const results = await this.sendWorkerRequest('fetchProjectExecutions', {
+            jobIds: staleJobs,
+            dateRange: bulkRange
+        }, this.BULK_FETCH_TIMEOUT);
+        
+        // Merges into each job's entry and records the range as covered; the project query
+        // only succeeds complete, so any earlier partial flag no longer applies
+        for (const jobId of staleJobs) {
+            await this.cacheExecutions(jobId, results.executionsByJob[jobId] || [], timeWindow, bulkRange);
+            this.partialFetches.delete(jobId);
         }
+        
+        this.logGroup('prefetchProjectExecutions', {
+            jobs: staleJobs.length,
+            executions: results.total,
+            dateRange: bulkRange
+        });
+        return true;
     }
     
     // We've removed direct API fetching and are only using the worker
     // This method is kept as a stub for compatibility, but redirects to worker implementation
-    async fetchExecutions(jobId, timeWindow) {
+    async fetchExecutions(jobId, timeWindow, dateRange = null) {
         console.log(`DEBUG: fetchExecutions called for job ${jobId} - this is where we should fetch fresh data for non-ROI jobs`);
         this.log('fetchExecutions', `Direct API fetch is disabled - redirecting to worker for job ${jobId}`);
-        return this.fetchExecutionsWithWorker(jobId, timeWindow);
+        return this.fetchExecutionsWithWorker(jobId, timeWindow, dateRange);
     }
     
     /**
@@ -1351,7 +2498,8 @@ class ExecutionDataManager {
     }
     
     // Store fetched executions in cache - preserves existing ROI data
-    async cacheExecutions(jobId, executions, timeWindow) {
+    // keepTimestamp leaves an existing entry's timestamp when no newer executions were fetched
+    async cacheExecutions(jobId, executions, timeWindow, requestedRange = null, keepTimestamp = false) {
         // Always cache executions, even if empty
         if (!executions) {
             executions = [];
@@ -1380,7 +2528,8 @@ class ExecutionDataManager {
             let hasRoiMetrics = hasRoiFromExecution; // Will be determined or overridden during the process
             
             try {
-                // Check our own cache first
+                // Check our own cache first; our entries hold only coverage, their rows are
+                // upserted by storeExecutionEntry rather than merged here
                 const executionCacheKey = jobId;
                 existingData = await this.get(this.DB_CONFIG.stores.executionCache, executionCacheKey);
                 
@@ -1471,44 +2620,12 @@ class ExecutionDataManager {
             }
             
             // Determine the effective date range
-            let dateRange = {
-                begin: moment().startOf('day').subtract(timeWindow, 'days').format('YYYY-MM-DD'),
-                end: moment().endOf('day').format('YYYY-MM-DD')
-            };
-            
-            // If we have existing data with a date range, calculate the widest date range
-            if (existingData && existingData.dateRange) {
-                const existingDateRange = existingData.dateRange;
-                
-                // Find the earliest begin date
-                const oldestDate = moment.min([
-                    moment(dateRange.begin),
-                    moment(existingDateRange.begin)
-                ]).format('YYYY-MM-DD');
-                
-                // Find the latest end date
-                const newestDate = moment.max([
-                    moment(dateRange.end),
-                    moment(existingDateRange.end)
-                ]).format('YYYY-MM-DD');
-                
-                dateRange = {
-                    begin: oldestDate,
-                    end: newestDate
-                };
-                
-                this.logGroup('cacheExecutions:mergedDateRange', {
-                    jobId,
-                    newDateRange: dateRange,
-                    existingDateRange: existingDateRange,
-                    mergedDateRange: dateRange
-                });
-            }
+            let dateRange = this.buildDateRange(timeWindow, requestedRange);
             
             // Prepare the data to store
             let dataToStore = executions;
             
-            // If we have existing data, merge it with new executions
+            // If the existing data came with executions (the ROI plugin's cache), merge it with new executions
             if (existingData && existingData.data && Array.isArray(existingData.data)) {
                 // Create a map to deduplicate executions by ID
                 const executionMap = new Map();
@@ -1529,18 +2646,44 @@ class ExecutionDataManager {
                 this.log('cacheExecutions', `Merged ${existingData.data.length} existing and ${executions.length} new executions, total: ${dataToStore.length}`);
             }
             
+            // Drop executions past the retention window; coverage starts no earlier than it
+            const retained = this.applyRetention(dataToStore, dateRange);
+            if (!retained.dateRange) {
+                this.log('cacheExecutions', `Range for job ${jobId} is entirely outside the ${this.CACHE_RETENTION_DAYS} day retention window, not caching`);
+                return;
+            }
+            dataToStore = retained.executions;
+            dateRange = retained.dateRange;
+            
+            // Add the range to what's covered; a gap between ranges stays uncovered
+            const existingCoverage = this.retainCoverage(this.getCoverage(existingData));
+            const coverage = this.addCoverage(existingCoverage, dateRange);
+            this.logGroup('cacheExecutions:coverage', {
+                jobId,
+                newDateRange: dateRange,
+                existingCoverage,
+                coverage
+            });
+            
+            // The timestamp tracks the newest executions, so a range older than the newest
+            // one covered leaves it alone
+            const newestCovered = existingCoverage[existingCoverage.length - 1];
+            const olderOnly = newestCovered && moment(dateRange.end).isBefore(newestCovered.end, 'day');
+            
             // Use the same format and key that ROI plugin would use - the raw jobId
             const cacheEntry = {
                 id: jobId,
                 jobId: jobId,
                 data: dataToStore,
-                timestamp: Date.now(),
-                dateRange: dateRange,
+                timestamp: (keepTimestamp || olderOnly) && existingData?.timestamp ? existingData.timestamp : Date.now(),
+                dateRange: { begin: coverage[0].begin, end: coverage[coverage.length - 1].end },
+                coverage,
                 hasRoi: hasRoiMetrics // Add hasRoi flag to cache entry to match ROI plugin structure
             };
             
-            // Store the merged data in cache
-            await this.set(this.DB_CONFIG.stores.executionCache, cacheEntry);
+            // Store the executions as rows and the entry with its newest/running markers
+            await this.storeExecutionEntry(cacheEntry);
+            this.broadcastCacheUpdate(jobId, dateRange);
             
             // Also update job registry with all available information
             const jobInfo = {
@@ -1576,6 +2719,48 @@ class ExecutionDataManager {
         }
     }
     
+    /**
+     * Read a job's executions straight from our cache without triggering any fetch
+     * Used for exporting the raw rows behind the metrics; returns an empty list if nothing is cached
+     */
+    async getCachedExecutions(jobId, timeWindow, dateRange = null) {
+        try {
+            const range = this.buildDateRange(timeWindow, dateRange);
+            const cachedData = await this.getExecutionCacheEntry(jobId, range);
+            if (!cachedData || !Array.isArray(cachedData.data)) {
+                return [];
+            }
+
+            return this.filterExecutionsByRange(cachedData.data, range);
+        } catch (error) {
+            this.logError('getCachedExecutions', error, { jobId });
+            return [];
+        }
+    }
+
+    // Helper to filter executions to an inclusive {begin, end} day range
+    filterExecutionsByRange(executions, dateRange) {
+        if (!executions || !executions.length || !dateRange) {
+            return executions;
+        }
+
+        const beginMoment = moment(dateRange.begin).startOf('day');
+        const endMoment = moment(dateRange.end).endOf('day');
+
+        const filteredExecutions = executions.filter(execution => {
+            const dateStarted = execution['date-started']?.date || execution.dateStarted;
+            const executionDate = moment(dateStarted);
+            return executionDate.isSameOrAfter(beginMoment) && executionDate.isSameOrBefore(endMoment);
+        });
+
+        this.log('filterExecutionsByRange', `Filtered executions by range: ${executions.length} → ${filteredExecutions.length}`, {
+            begin: dateRange.begin,
+            end: dateRange.end
+        });
+
+        return filteredExecutions;
+    }
+
     // Helper to filter executions by date
     filterExecutionsByDate(executions, cutoffDate) {
         if (!executions || !executions.length || !cutoffDate) {
@@ -1766,7 +2951,8 @@ class ExecutionDataManager {
                     type: 'init',
                     data: {
                         rdBase: window.location.origin + '/',
-                        projectName: this.projectName
+                        projectName: this.projectName,
+                        maxConcurrent: this.WORKER_CONCURRENCY
                     }
                 });
                 
@@ -1793,17 +2979,33 @@ class ExecutionDataManager {
         switch (type) {
             case 'jobProcessed':
                 this.log('handleWorkerMessage:jobProcessed', `Job ${results.jobId} processed`, {
-                    executionCount: results.executions.length
+                    executionCount: results.executions.length,
+                    partial: !!results.partial
                 });
                 
+                // Incomplete results are handed back flagged, never cached as if they covered the range
+                if (results.partial) {
+                    this.partialFetches.set(results.jobId, {
+                        dateRange: pendingRequest?.dateRange,
+                        reason: results.partialReason,
+                        timestamp: Date.now()
+                    });
+                    if (pendingRequest) {
+                        pendingRequest.resolve(results.executions);
+                        this.pendingRequests.delete(requestId);
+                    }
+                    break;
+                }
+                this.partialFetches.delete(results.jobId);
+                
                 // Store results in cache with a retry mechanism
-                this.cacheExecutions(results.jobId, results.executions, pendingRequest?.timeWindow)
+                this.cacheExecutions(results.jobId, results.executions, pendingRequest?.timeWindow, pendingRequest?.dateRange)
                     .catch(err => {
                         this.logError('cacheExecutions', err);
                         
                         // Try again after a short delay (helps with concurrent write issues)
                         setTimeout(() => {
-                            this.cacheExecutions(results.jobId, results.executions, pendingRequest?.timeWindow)
+                            this.cacheExecutions(results.jobId, results.executions, pendingRequest?.timeWindow, pendingRequest?.dateRange)
                                 .catch(retryErr => this.logError('cacheExecutions:retry', retryErr));
                         }, 500);
                     });
@@ -1815,6 +3017,16 @@ class ExecutionDataManager {
                 }
                 break;
                 
+            case 'executionsProcessed':
+            case 'durationStatsCalculated':
+            case 'projectExecutionsFetched':
+                // Responses to computation-only requests carry no executions to cache
+                if (pendingRequest) {
+                    pendingRequest.resolve(results);
+                    this.pendingRequests.delete(requestId);
+                }
+                break;
+
             case 'error':
                 this.logError('handleWorkerMessage:error', new Error(error));
                 
@@ -2398,7 +3610,7 @@ class ExecutionDataManager {
                                 };
                                 
                                 // Store in our cache asynchronously
-                                this.set(this.DB_CONFIG.stores.executionCache, copiedData)
+                                this.storeExecutionEntry(copiedData)
                                     .catch(err => this.logError('needsCacheRefresh:copyCache', err, { jobId }));
                             }
                             
@@ -2430,6 +3642,15 @@ class ExecutionDataManager {
             return true;
         }
         
+        // Nothing cached touches the requested range
+        if (dateRange && !cachedData.dateRange) {
+            this.log('needsCacheRefresh', 'Requested date range not covered by cache', {
+                requestedRange: `${dateRange.begin} to ${dateRange.end}`,
+                hasRoiMetrics
+            });
+            return true;
+        }
+        
         // If the requested date range is not fully covered by cache, it needs refresh
         if (dateRange && cachedData.dateRange) {
             // Normalize dates by explicitly setting to start/end of day to ensure consistent comparison
@@ -2464,17 +3685,32 @@ class ExecutionDataManager {
     /**
      * Fetch executions using the worker
      */
-    async fetchExecutionsWithWorker(jobId, timeWindow) {
+    async fetchExecutionsWithWorker(jobId, timeWindow, requestedRange = null) {
         console.log(`DEBUG: fetchExecutionsWithWorker called for job ${jobId} - THIS IS THE ACTUAL FETCH IMPLEMENTATION`);
-        // Check if there's already a fetch in progress for this job with similar timeWindow
-        const inProgressKey = `worker_${jobId}_${timeWindow}`;
+        // Check if there's already a fetch in progress for this job with the same date range
+        const dateRange = this.buildDateRange(timeWindow, requestedRange);
+        // Incremental fetches only ask for executions after an exact time
+        if (requestedRange?.since) {
+            dateRange.since = requestedRange.since;
+        }
+        const inProgressKey = `worker_${jobId}_${dateRange.begin}_${dateRange.end}_${dateRange.since || ''}`;
         if (this.fetchOperationsInProgress.has(inProgressKey)) {
             this.log('fetchExecutionsWithWorker', `Worker fetch already in progress for job ${jobId}, reusing promise`);
             return this.fetchOperationsInProgress.get(inProgressKey);
         }
         
-        // Create a new fetch promise
-        const fetchPromise = this._doFetchExecutionsWithWorker(jobId, timeWindow, inProgressKey);
+        // Create a new fetch promise; another tab fetching the same job holds the lock,
+        // and once it's released the cache usually already has what we need
+        const fetchPromise = this.withCrossTabLock(`job.${jobId}`, async () => {
+            const cachedExecutions = await this.getCoveredExecutions(jobId, dateRange);
+            if (cachedExecutions) {
+                this.log('fetchExecutionsWithWorker', `Cache for job ${jobId} was filled by another tab`);
+                this.metrics.cacheHits++;
+                setTimeout(() => this.fetchOperationsInProgress.delete(inProgressKey), 500);
+                return cachedExecutions;
+            }
+            return this._doFetchExecutionsWithWorker(jobId, timeWindow, inProgressKey, dateRange);
+        });
         
         // Store the promise for potential reuse
         this.fetchOperationsInProgress.set(inProgressKey, fetchPromise);
@@ -2482,11 +3718,31 @@ class ExecutionDataManager {
         return fetchPromise;
     }
     
+    /**
+     * Executions for a range straight from our cache, if it's fresh and covers the range
+     * @returns {Promise<Array|null>} null when a fetch is still needed
+     */
+    async getCoveredExecutions(jobId, dateRange) {
+        try {
+            const cachedData = await this.getExecutionCacheEntry(jobId, dateRange);
+            if (!cachedData || !Array.isArray(cachedData.data) ||
+                this.planIncrementalFetch(cachedData, dateRange).length > 0) {
+                return null;
+            }
+            return this.filterExecutionsByRange(cachedData.data, dateRange);
+        } catch (error) {
+            this.logError('getCoveredExecutions', error, { jobId });
+            return null;
+        }
+    }
+    
     /**
      * Internal method to perform the actual worker fetch
      * This separation allows for proper cleanup of the in-progress tracking
+     * It runs inside the job's cross-tab lock, so a failed fetch retries once here
+     * rather than through fetchExecutions, which would wait on the lock we hold
      */
-    async _doFetchExecutionsWithWorker(jobId, timeWindow, inProgressKey) {
+    async _doFetchExecutionsWithWorker(jobId, timeWindow, inProgressKey, dateRange, retry = true) {
         try {
             // Try to initialize worker if not already done
             try {
@@ -2494,31 +3750,26 @@ class ExecutionDataManager {
             } catch (workerInitError) {
                 // If worker fails to initialize, log and fall back to direct API
                 this.logError('fetchExecutionsWithWorker:initFailed', workerInitError);
-                this.log('fetchExecutionsWithWorker', 'Falling back to direct API due to worker init failure');
+                this.log('fetchExecutionsWithWorker', 'Retrying once due to worker init failure');
                 this.fetchOperationsInProgress.delete(inProgressKey); // Clean up tracking
-                return await this.fetchExecutions(jobId, timeWindow);
+                return await this._fetchDirect(jobId, timeWindow, inProgressKey, dateRange, retry, workerInitError);
             }
             
             // Double-check if worker is initialized before proceeding
             if (!this.workerInitialized) {
-                this.log('fetchExecutionsWithWorker', 'Worker still not initialized after init attempt, falling back to API');
+                this.log('fetchExecutionsWithWorker', 'Worker still not initialized after init attempt, retrying once');
                 this.fetchOperationsInProgress.delete(inProgressKey); // Clean up tracking
-                return await this.fetchExecutions(jobId, timeWindow);
+                return await this._fetchDirect(jobId, timeWindow, inProgressKey, dateRange, retry,
+                    new Error('Worker not initialized'));
             }
             
             this.metrics.workerRequests++;
             
-            // Calculate date range from timeWindow using moment to ensure consistent format with other methods
-            const dateRange = {
-                begin: moment().startOf('day').subtract(timeWindow, 'days').format('YYYY-MM-DD'),
-                end: moment().endOf('day').format('YYYY-MM-DD')
-            };
-            
             // Check if we already have data in cache before making the request
             try {
                 // Try to get cached data from executionCache
                 const executionCacheKey = jobId;
-                const cachedData = await this.get(this.DB_CONFIG.stores.executionCache, executionCacheKey);
+                const cachedData = await this.getExecutionCacheEntry(executionCacheKey, dateRange);
                 
                 // Check if we have valid and fresh cached data
                 if (cachedData && cachedData.data && Array.isArray(cachedData.data) && 
@@ -2588,8 +3839,10 @@ class ExecutionDataManager {
                 // Get the executions from the worker
                 const executions = await promise;
                 
-                // Explicitly cache the results before returning
-                await this.cacheExecutions(jobId, executions, timeWindow);
+                // Explicitly cache the results before returning, unless they stopped short
+                if (!this.partialFetches.has(jobId)) {
+                    await this.cacheExecutions(jobId, executions, timeWindow, dateRange);
+                }
                 
                 // Clean up the in-progress tracking
                 setTimeout(() => {
@@ -2606,8 +3859,92 @@ class ExecutionDataManager {
             this.logError('fetchExecutionsWithWorker', error, { jobId, timeWindow });
             // Clean up tracking before falling back
             this.fetchOperationsInProgress.delete(inProgressKey);
-            // Fall back to standard fetch if worker fails
-            return await this.fetchExecutions(jobId, timeWindow);
+            // Retry once without re-entering the lock
+            return await this._fetchDirect(jobId, timeWindow, inProgressKey, dateRange, retry, error);
+        }
+    }
+    
+    /**
+     * Fallback for a failed worker fetch, run without taking the job's lock again
+     * Rejects with the original error once the single retry is used up
+     */
+    async _fetchDirect(jobId, timeWindow, inProgressKey, dateRange, retry, error) {
+        if (!retry) {
+            throw error;
+        }
+        return this._doFetchExecutionsWithWorker(jobId, timeWindow, inProgressKey, dateRange, false);
+    }
+
+    /**
+     * Send a computation request to the worker and wait for its response
+     * Rejects if the worker can't be initialized or doesn't answer in time
+     */
+    async sendWorkerRequest(type, data, timeoutMs = 30000) {
+        await this.initWorker();
+
+        if (!this.workerInitialized) {
+            throw new Error('Worker not initialized');
+        }
+
+        const requestId = this.getNextRequestId();
+
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(requestId, {
+                type,
+                timestamp: Date.now(),
+                resolve,
+                reject
+            });
+
+            setTimeout(() => {
+                if (this.pendingRequests.has(requestId)) {
+                    const error = new Error(`Worker request timeout for ${type}`);
+                    this.logError('sendWorkerRequest:timeout', error);
+                    this.pendingRequests.get(requestId).reject(error);
+                    this.pendingRequests.delete(requestId);
+                }
+            }, timeoutMs);
+
+            this.worker.postMessage({
+                type,
+                id: requestId,
+                data
+            });
+        });
+    }
+
+    /**
+     * Compute job metrics (including duration percentiles) for executions already loaded
+     * Falls back to calculating duration stats on the main thread if the worker is unavailable
+     */
+    async processExecutionsWithWorker(jobId, executions) {
+        try {
+            const results = await this.sendWorkerRequest('processExecutions', { jobId, executions });
+            return results.metrics;
+        } catch (error) {
+            this.logError('processExecutionsWithWorker', error, { jobId });
+            return {
+                summary: {
+                    total: executions.length,
+                    durationStats: ExecutionStats.calculateDurationStats(ExecutionStats.getDurations(executions))
+                },
+                timeAnalysis: {
+                    byDate: ExecutionStats.groupByDate(executions)
+                },
+                processedAt: Date.now()
+            };
+        }
+    }
+
+    /**
+     * Compute duration percentiles over an arbitrary list of durations, e.g. project-wide
+     */
+    async calculateDurationStatsWithWorker(durations) {
+        try {
+            return await this.sendWorkerRequest('calculateDurationStats', { durations });
+        } catch (error) {
+            this.logError('calculateDurationStatsWithWorker', error, { count: durations.length });
+            return ExecutionStats.calculateDurationStats(durations);
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,279 @@
+/**
+ * ExecutionStats
+ *
+ * Pure helpers for deriving metrics from Rundeck execution records. The main thread
+ * uses them when the worker is unavailable and for small per-job values that aren't
+ * worth a round trip; the worker loads this file with importScripts for its own
+ * calculations, so both threads share one implementation.
+ */
+class ExecutionStats {
+    /**
+     * Duration of an execution in milliseconds, or null if it can't be determined
+     * Uses the explicit duration when present (ROI cache entries), otherwise the start/end timestamps
+     */
+    static getExecutionDuration(execution) {
+        if (!execution) return null;
+
+        if (typeof execution.duration === 'number' && execution.duration >= 0) {
+            return execution.duration;
+        }
+
+        const started = execution['date-started']?.unixtime;
+        const ended = execution['date-ended']?.unixtime;
+        if (started && ended && ended >= started) {
+            return ended - started;
+        }
+
+        return null;
+    }
+
+    /**
+     * Percentile of an ascending-sorted array using linear interpolation between closest ranks
+     */
+    static calculatePercentile(sortedValues, percentile) {
+        if (!sortedValues || sortedValues.length === 0) return 0;
+        if (sortedValues.length === 1) return sortedValues[0];
+
+        const rank = (percentile / 100) * (sortedValues.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        const weight = rank - lower;
+
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+    }
+
+    /**
+     * Summary statistics for a list of durations (milliseconds)
+     */
+    static calculateDurationStats(durations) {
+        const values = (durations || [])
+            .filter(value => typeof value === 'number' && !isNaN(value))
+            .sort((a, b) => a - b);
+
+        if (values.length === 0) {
+            return { count: 0, min: 0, max: 0, mean: 0, p50: 0, p90: 0, p95: 0, p99: 0 };
+        }
+
+        const total = values.reduce((sum, value) => sum + value, 0);
+
+        return {
+            count: values.length,
+            min: values[0],
+            max: values[values.length - 1],
+            mean: total / values.length,
+            p50: ExecutionStats.calculatePercentile(values, 50),
+            p90: ExecutionStats.calculatePercentile(values, 90),
+            p95: ExecutionStats.calculatePercentile(values, 95),
+            p99: ExecutionStats.calculatePercentile(values, 99)
+        };
+    }
+
+    /**
+     * Rundeck execution statuses tracked individually, in display order
+     * Anything else the API reports (scheduled, missed, custom statuses) is counted as 'other'
+     */
+    static get STATUSES() {
+        return ['succeeded', 'failed', 'aborted', 'timedout', 'failed-with-retry', 'running', 'other'];
+    }
+
+    static normalizeStatus(status) {
+        return ExecutionStats.STATUSES.includes(status) ? status : 'other';
+    }
+
+    /**
+     * Count executions per status, with every tracked status present (zero if unseen)
+     */
+    static countStatuses(executions) {
+        const counts = {};
+        ExecutionStats.STATUSES.forEach(status => {
+            counts[status] = 0;
+        });
+
+        (executions || []).forEach(execution => {
+            counts[ExecutionStats.normalizeStatus(execution.status)]++;
+        });
+
+        return counts;
+    }
+
+    /**
+     * Whether a status counts against the success rate
+     * Aborted runs are often deliberate cancellations, so they only count when configured to
+     */
+    static isFailureStatus(status, countAbortedAsFailure) {
+        switch (status) {
+            case 'failed':
+            case 'timedout':
+            case 'failed-with-retry':
+                return true;
+            case 'aborted':
+                return !!countAbortedAsFailure;
+            default:
+                return false;
+        }
+    }
+
+    static countFailures(statusCounts, countAbortedAsFailure) {
+        return ExecutionStats.STATUSES
+            .filter(status => ExecutionStats.isFailureStatus(status, countAbortedAsFailure))
+            .reduce((sum, status) => sum + (statusCounts[status] || 0), 0);
+    }
+
+    /**
+     * Success rate (0-100) over finished executions
+     * Running executions are left out, as are aborted ones unless they count as failures
+     */
+    static calculateSuccessRate(statusCounts, countAbortedAsFailure) {
+        const succeeded = statusCounts.succeeded || 0;
+        const failures = ExecutionStats.countFailures(statusCounts, countAbortedAsFailure);
+        const other = statusCounts.other || 0;
+        const considered = succeeded + failures + other;
+
+        return considered > 0 ? (succeeded / considered) * 100 : 0;
+    }
+
+    /**
+     * Start time of an execution in epoch milliseconds, or null if unknown
+     */
+    static getStartTime(execution) {
+        if (!execution) return null;
+
+        const unixtime = execution['date-started']?.unixtime;
+        if (unixtime) return unixtime;
+
+        const dateStarted = execution['date-started']?.date || execution.dateStarted;
+        const time = dateStarted ? new Date(dateStarted).getTime() : NaN;
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Executions with a known start time, oldest first
+     * Cached and API results aren't guaranteed to be in order
+     */
+    static sortByStartTime(executions) {
+        return (executions || [])
+            .filter(execution => ExecutionStats.getStartTime(execution) !== null)
+            .sort((a, b) => ExecutionStats.getStartTime(a) - ExecutionStats.getStartTime(b));
+    }
+
+    /**
+     * How often a job flips between passing and failing
+     * Only succeeded runs and runs counted as failures take part; running, 'other' and
+     * (unless configured as failures) aborted runs are skipped rather than breaking a sequence.
+     * - transitions: outcome changes between consecutive runs
+     * - recoveries: failures directly followed by a success, e.g. a retry that passed
+     * - score: transitions as a percentage of the possible ones (0 = stable, 100 = alternates every run)
+     */
+    static calculateFlakiness(executions, countAbortedAsFailure) {
+        const outcomes = ExecutionStats.sortByStartTime(executions)
+            .filter(execution => execution.status === 'succeeded' ||
+                ExecutionStats.isFailureStatus(execution.status, countAbortedAsFailure))
+            .map(execution => execution.status === 'succeeded');
+
+        let transitions = 0;
+        let recoveries = 0;
+        for (let i = 1; i < outcomes.length; i++) {
+            if (outcomes[i] !== outcomes[i - 1]) {
+                transitions++;
+                if (outcomes[i]) {
+                    recoveries++;
+                }
+            }
+        }
+
+        return {
+            runs: outcomes.length,
+            transitions,
+            recoveries,
+            score: outcomes.length > 1 ? (transitions / (outcomes.length - 1)) * 100 : 0
+        };
+    }
+
+    /**
+     * How long a job stays broken, from the ordered execution history
+     * Runs that are neither successes nor counted failures (running, 'other', aborted unless
+     * configured as failures) are skipped and don't end a streak.
+     * - currentStreak: consecutive failures up to the latest finished run
+     * - longestStreak: longest run of consecutive failures
+     * - recoveries: failure streaks that ended in a success
+     * - mttr: mean milliseconds from the first failure of a streak to the end of the success
+     *   that ended it, or null if no streak recovered (an ongoing streak isn't counted)
+     */
+    static calculateFailureStreaks(executions, countAbortedAsFailure) {
+        let currentStreak = 0;
+        let longestStreak = 0;
+        let streakStart = null;
+        let recoveries = 0;
+        let totalRecoveryTime = 0;
+
+        ExecutionStats.sortByStartTime(executions).forEach(execution => {
+            if (ExecutionStats.isFailureStatus(execution.status, countAbortedAsFailure)) {
+                if (currentStreak === 0) {
+                    streakStart = ExecutionStats.getStartTime(execution);
+                }
+                currentStreak++;
+                longestStreak = Math.max(longestStreak, currentStreak);
+            } else if (execution.status === 'succeeded') {
+                if (currentStreak > 0) {
+                    const recoveredAt = execution['date-ended']?.unixtime || ExecutionStats.getStartTime(execution);
+                    recoveries++;
+                    totalRecoveryTime += Math.max(0, recoveredAt - streakStart);
+                }
+                currentStreak = 0;
+                streakStart = null;
+            }
+        });
+
+        return {
+            currentStreak,
+            longestStreak,
+            recoveries,
+            mttr: recoveries > 0 ? totalRecoveryTime / recoveries : null
+        };
+    }
+
+    /**
+     * Per-day buckets in the worker's timeAnalysis.byDate shape, keyed by the local calendar
+     * day (YYYY-MM-DD) of the start date so they line up with the days the charts draw
+     */
+    static groupByDate(executions) {
+        const byDate = {};
+
+        (executions || []).forEach(execution => {
+            const dateStarted = execution['date-started']?.date || execution.dateStarted;
+            const started = dateStarted ? new Date(dateStarted) : null;
+            if (!started || isNaN(started.getTime())) return;
+
+            const datePart = [
+                started.getFullYear(),
+                String(started.getMonth() + 1).padStart(2, '0'),
+                String(started.getDate()).padStart(2, '0')
+            ].join('-');
+            if (!byDate[datePart]) {
+                byDate[datePart] = { total: 0, success: 0, duration: 0, statusCounts: ExecutionStats.countStatuses([]) };
+            }
+
+            const bucket = byDate[datePart];
+            bucket.total++;
+            bucket.statusCounts[ExecutionStats.normalizeStatus(execution.status)]++;
+            if (execution.status === 'succeeded') {
+                bucket.success++;
+            }
+            const duration = ExecutionStats.getExecutionDuration(execution);
+            if (duration !== null) {
+                bucket.duration += duration;
+            }
+        });
+
+        return byDate;
+    }
+
+    /**
+     * Durations of all executions that have one
+     */
+    static getDurations(executions) {
+        return (executions || [])
+            .map(execution => ExecutionStats.getExecutionDuration(execution))
+            .filter(duration => duration !== null);
+    }
+}
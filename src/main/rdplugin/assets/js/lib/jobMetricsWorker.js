@@ -1,12 +1,25 @@
 // jobMetricsWorker.js
 const DEBUG = true;
 
+// Duration, percentile and status helpers shared with the main thread, from alongside this file
+importScripts('executionStats.js');
+
 // Store global app data passed from main thread
 let rdBase = '';
 let projectName = '';
 
 // Configuration
 const MAX_CONCURRENT_REQUESTS = 10;
+// Adaptive concurrency: ramp up after this many responses under the latency target,
+// step down when the average climbs past twice the target
+const LATENCY_TARGET_MS = 1500;
+const LATENCY_SMOOTHING = 0.2;
+const RAMP_UP_AFTER = 5;
+// Backoff after 429/503 responses, doubling while they keep coming; a Retry-After
+// header can lengthen the pause but never shorten it below this
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+const MAX_RATE_LIMIT_RETRIES = 6;
 
 function log(component, message, data = null) {
     if (!DEBUG) return;
@@ -30,10 +43,34 @@ function logError(component, error, context = {}) {
     });
 }
 
+// The server asked us to slow down (HTTP 429 or 503)
+class RateLimitError extends Error {
+    constructor(status, retryAfterMs) {
+        super(`HTTP error! status: ${status}`);
+        this.name = 'RateLimitError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 // Concurrency Pool for limiting API requests
+// The limit adapts: it halves and pauses on 429/503 (honouring Retry-After),
+// steps down while responses are slow and ramps back up while they are fast
 class ConcurrencyPool {
     constructor(maxConcurrent = MAX_CONCURRENT_REQUESTS) {
         this.maxConcurrent = maxConcurrent;
+        this.limit = maxConcurrent;
         this.running = 0;
         this.queue = [];
         this.activeRequests = 0;
@@ -41,13 +78,24 @@ class ConcurrencyPool {
         this.totalEnqueued = 0;
         this.totalProcessed = 0;
         this.waitTime = 0;
+        
+        // Backoff state
+        this.pausedUntil = 0;
+        this.resumeTimer = null;
+        this.consecutiveThrottles = 0;
+        this.responsesSinceThrottle = 0;
+        this.throttledResponses = 0;
+        
+        // Latency tracking (exponentially weighted moving average)
+        this.latencyAverage = null;
+        this.fastResponses = 0;
     }
 
     async add(fn) {
         this.totalEnqueued++;
         
         // If we can run it now, do so
-        if (this.running < this.maxConcurrent) {
+        if (this._canStart()) {
             return this._run(fn);
         }
         
@@ -61,9 +109,29 @@ class ConcurrencyPool {
                 
                 this._run(fn).then(resolve, reject);
             });
+            this._drain();
         });
     }
     
+    _canStart() {
+        return this.running < this.limit && Date.now() >= this.pausedUntil;
+    }
+    
+    // Start queued work while there is room, or wait out a backoff pause
+    _drain() {
+        while (this.queue.length > 0 && this._canStart()) {
+            const next = this.queue.shift();
+            next();
+        }
+        
+        if (this.queue.length > 0 && Date.now() < this.pausedUntil && !this.resumeTimer) {
+            this.resumeTimer = setTimeout(() => {
+                this.resumeTimer = null;
+                this._drain();
+            }, this.pausedUntil - Date.now());
+        }
+    }
+    
     async _run(fn) {
         this.running++;
         this.activeRequests++;
@@ -81,22 +149,99 @@ class ConcurrencyPool {
             this.totalProcessed++;
             
             // If there's something in the queue, run it
-            if (this.queue.length > 0) {
-                const next = this.queue.shift();
-                next();
+            this._drain();
+        }
+    }
+    
+    /**
+     * Fetch through the pool, feeding the response into the adaptive limit
+     * Resolves with the response; 429/503 responses reject with a RateLimitError
+     */
+    async fetch(url, options) {
+        return this.add(async () => {
+            const started = performance.now();
+            const response = await fetch(url, options);
+            
+            if (response.status === 429 || response.status === 503) {
+                const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                this.recordThrottle(retryAfter);
+                throw new RateLimitError(response.status, this.pausedUntil - Date.now());
+            }
+            
+            this.recordLatency(performance.now() - started);
+            return response;
+        });
+    }
+    
+    recordThrottle(retryAfter) {
+        this.throttledResponses++;
+        this.consecutiveThrottles++;
+        this.responsesSinceThrottle = 0;
+        this.fastResponses = 0;
+        this.limit = Math.max(1, Math.floor(this.limit / 2));
+        
+        // Back off exponentially, for longer if the server asks; Retry-After: 0 doesn't skip it
+        const backoff = Math.min(BACKOFF_BASE_MS * Math.pow(2, this.consecutiveThrottles - 1), BACKOFF_MAX_MS);
+        const delay = Math.max(retryAfter ?? 0, backoff);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        
+        log('ConcurrencyPool', `Throttled by server, limit ${this.limit}, pausing ${delay}ms`);
+    }
+    
+    recordLatency(latency) {
+        // Throttles only count as over after a run of good responses, so alternating
+        // throttled and successful ones still back off further each time
+        this.responsesSinceThrottle++;
+        if (this.responsesSinceThrottle >= RAMP_UP_AFTER) {
+            this.consecutiveThrottles = 0;
+        }
+        this.latencyAverage = this.latencyAverage === null
+            ? latency
+            : this.latencyAverage + LATENCY_SMOOTHING * (latency - this.latencyAverage);
+        
+        if (this.latencyAverage > LATENCY_TARGET_MS * 2) {
+            // Slow responses: step down, then give the new limit time to settle
+            if (this.limit > 1) {
+                this.limit--;
+                log('ConcurrencyPool', `Slow responses (${this.latencyAverage.toFixed(0)}ms), limit ${this.limit}`);
+            }
+            this.latencyAverage = LATENCY_TARGET_MS;
+            this.fastResponses = 0;
+        } else if (this.latencyAverage < LATENCY_TARGET_MS && this.limit < this.maxConcurrent) {
+            this.fastResponses++;
+            if (this.fastResponses >= RAMP_UP_AFTER) {
+                this.limit++;
+                this.fastResponses = 0;
+                this._drain();
             }
         }
     }
     
+    setMaxConcurrent(maxConcurrent) {
+        const limit = parseInt(maxConcurrent);
+        if (isNaN(limit) || limit < 1) {
+            return;
+        }
+        this.maxConcurrent = limit;
+        this.limit = limit;
+        
+        // Start queued work if the limit was raised
+        this._drain();
+    }
+    
     getMetrics() {
         return {
             maxConcurrent: this.maxConcurrent,
+            currentLimit: this.limit,
             currentActive: this.activeRequests,
             queueLength: this.queue.length,
             peakConcurrency: this.peakConcurrency,
             totalEnqueued: this.totalEnqueued,
             totalProcessed: this.totalProcessed,
-            averageWaitTime: this.totalProcessed > 0 ? this.waitTime / this.totalProcessed : 0
+            averageWaitTime: this.totalProcessed > 0 ? this.waitTime / this.totalProcessed : 0,
+            averageLatency: this.latencyAverage,
+            throttledResponses: this.throttledResponses,
+            pausedFor: Math.max(0, this.pausedUntil - Date.now())
         };
     }
 }
@@ -106,6 +251,9 @@ const requestPool = new ConcurrencyPool();
 
 // Function to fetch executions with pagination and retry logic
 // Updated to use the same endpoint approach as ROI summary plugin
+// Pass a null jobId to stream every execution in the project
+// Resolves with {executions, partial, error}; partial is set when a page kept failing and
+// the executions stop short, so callers mustn't treat them as the complete range
 async function fetchExecutions(jobId, dateRange) {
     const startTime = performance.now();
     log('fetchExecutions:start', { jobId, dateRange });
@@ -119,23 +267,26 @@ async function fetchExecutions(jobId, dateRange) {
     const MAX_PER_PAGE = 500;
     let hasMore = true;
     let retryCount = 0;
+    let rateLimitRetries = 0;
     const MAX_RETRIES = 3;
-    let timeout = 3000;
+    let partialError = null;
 
     while (hasMore) {
         try {
             // Create the URL with parameters - matching ROI plugin approach
             let params = new URLSearchParams({
-                jobIdListFilter: jobId,
                 max: MAX_PER_PAGE,
                 offset: offset,
                 format: 'json'
             });
+            if (jobId) {
+                params.append('jobIdListFilter', jobId);
+            }
             
             // Use begin/end dates if provided, otherwise fallback to recentFilter
             if (dateRange && dateRange.begin && dateRange.end) {
-                // Format dates in ISO format for API
-                params.append('begin', dateRange.begin + 'T00:00:00Z');
+                // Format dates in ISO format for API; incremental fetches pass an exact `since`
+                params.append('begin', dateRange.since || dateRange.begin + 'T00:00:00Z');
                 params.append('end', dateRange.end + 'T23:59:59Z');
             } else {
                 // Default to 10 days if no dateRange specified
@@ -145,7 +296,8 @@ async function fetchExecutions(jobId, dateRange) {
             // Use the same API endpoint as ROI plugin
             const url = `${rdBase}api/40/project/${projectName}/executions?${params.toString()}`;
             
-            const response = await fetch(url, {
+            // Each page goes through the pool, which spaces requests out when the server pushes back
+            const response = await requestPool.fetch(url, {
                 credentials: 'include',
                 headers: {
                     'Accept': 'application/json',
@@ -158,7 +310,6 @@ async function fetchExecutions(jobId, dateRange) {
             }
 
             const responseData = await response.json();
-            timeout = 1500;
 
             const executions = responseData.executions || [];
             allExecutions.push(...executions);
@@ -177,15 +328,30 @@ async function fetchExecutions(jobId, dateRange) {
             }
 
             retryCount = 0;
+            rateLimitRetries = 0;
 
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                rateLimitRetries++;
+                logError('fetchExecutions:rateLimited', error, { jobId, offset, attempt: rateLimitRetries });
+                if (rateLimitRetries >= MAX_RATE_LIMIT_RETRIES) {
+                    partialError = error.message;
+                    hasMore = false;
+                    continue;
+                }
+                // Wait out the pool's backoff before asking for the same page again
+                await new Promise(resolve => setTimeout(resolve, Math.max(error.retryAfterMs, BACKOFF_BASE_MS)));
+                continue;
+            }
+            
             retryCount++;
             logError('fetchExecutions', error, { jobId, offset, attempt: retryCount });
 
             if (retryCount >= MAX_RETRIES) {
+                partialError = error.message;
                 hasMore = false;
             } else {
-                await new Promise(resolve => setTimeout(resolve, 500 * retryCount));
+                await new Promise(resolve => setTimeout(resolve, 500 * Math.pow(2, retryCount - 1)));
             }
         }
     }
@@ -194,18 +360,22 @@ async function fetchExecutions(jobId, dateRange) {
     log('fetchExecutions:complete', {
         jobId,
         totalExecutions: allExecutions.length,
-        duration: `${duration.toFixed(2)}ms`
+        duration: `${duration.toFixed(2)}ms`,
+        partial: partialError !== null
     });
 
-    return allExecutions;
+    return {
+        executions: allExecutions,
+        partial: partialError !== null,
+        error: partialError
+    };
 }
 
 // Process execution data to extract metrics
 function processExecutionData(executions) {
-    let successful = 0;
-    let failed = 0;
+    const statusCounts = ExecutionStats.countStatuses([]);
     let totalDuration = 0;
-    const executionsByDate = {};
+    const durations = [];
     const executionsByHour = Array(24).fill(0);
     let mostRecentExec = null;
     
@@ -221,18 +391,17 @@ function processExecutionData(executions) {
                 hasRoi = true;
             }
             
-            // Track successful vs failed executions
-            if (execution.status === 'succeeded') {
-                successful++;
-            } else {
-                failed++;
-            }
+            // Track each status separately; success rates are derived on the main thread with
+            // ExecutionStats, which applies the "count aborted as failure" setting
+            statusCounts[ExecutionStats.normalizeStatus(execution.status)]++;
             
             // Track duration
-            if (execution.duration) {
-                totalDuration += execution.duration;
+            const duration = ExecutionStats.getExecutionDuration(execution);
+            if (duration !== null) {
+                totalDuration += duration;
+                durations.push(duration);
             }
-            
+
             // Track most recent execution to get job.averageDuration
             const dateStarted = execution['date-started']?.date || execution.dateStarted;
             if (dateStarted) {
@@ -242,23 +411,6 @@ function processExecutionData(executions) {
                     mostRecentExec = execution;
                 }
                 
-                // Track by day
-                const datePart = dateStarted.split('T')[0];
-                if (!executionsByDate[datePart]) {
-                    executionsByDate[datePart] = { 
-                        total: 0, 
-                        success: 0, 
-                        duration: 0 
-                    };
-                }
-                executionsByDate[datePart].total++;
-                if (execution.status === 'succeeded') {
-                    executionsByDate[datePart].success++;
-                }
-                if (execution.duration) {
-                    executionsByDate[datePart].duration += execution.duration;
-                }
-                
                 // Track by hour
                 try {
                     const dateObj = new Date(dateStarted);
@@ -271,9 +423,6 @@ function processExecutionData(executions) {
         });
     }
     
-    // Calculate success rate
-    const successRate = executions.length > 0 ? (successful / executions.length) * 100 : 0;
-    
     // Use job.averageDuration if available from most recent execution
     let avgDuration;
     if (mostRecentExec && mostRecentExec.job && mostRecentExec.job.averageDuration) {
@@ -282,21 +431,23 @@ function processExecutionData(executions) {
         // Fallback to calculating from executions if necessary
         avgDuration = executions.length > 0 ? totalDuration / executions.length : 0;
     }
-    
-    // Prepare time-based analysis
+
+    // Percentiles expose the long tail that the mean hides
+    const durationStats = ExecutionStats.calculateDurationStats(durations);
+
+    // Prepare time-based analysis; days are bucketed by local date, as on the main thread
     const timeAnalysis = {
-        byDate: executionsByDate,
+        byDate: ExecutionStats.groupByDate(executions),
         byHour: executionsByHour
     };
     
     return {
         summary: {
             total: executions.length,
-            successful,
-            failed,
+            statusCounts,
             totalDuration,
             avgDuration,
-            successRate,
+            durationStats,
             hasRoi  // Include hasRoi flag in metrics summary
         },
         timeAnalysis,
@@ -348,6 +499,9 @@ onmessage = async function(e) {
                     if (data.projectName) {
                         projectName = data.projectName;
                     }
+                    if (data.maxConcurrent) {
+                        requestPool.setMaxConcurrent(data.maxConcurrent);
+                    }
                 }
                 
                 workerMetrics.status = 'initialized';
@@ -355,6 +509,14 @@ onmessage = async function(e) {
                 postMessage({ type: 'initialized' });
                 break;
                 
+            case 'configure':
+                // Settings that can change after init, e.g. admin defaults loaded later
+                if (data && data.maxConcurrent) {
+                    requestPool.setMaxConcurrent(data.maxConcurrent);
+                    log('configure', `Max concurrent requests set to ${requestPool.maxConcurrent}`);
+                }
+                break;
+                
             case 'getMetrics':
                 // Handler for metrics requests
                 log('getMetrics', 'Health check received');
@@ -415,8 +577,9 @@ onmessage = async function(e) {
                         };
                     }
                     
-                    // Fetch executions using the requestPool for concurrency management
-                    const executions = await requestPool.add(() => fetchExecutions(data.jobId, dateRange));
+                    // Fetch executions; each page request goes through the requestPool
+                    const fetched = await fetchExecutions(data.jobId, dateRange);
+                    const executions = fetched.executions;
                     
                     // Process the executions to calculate metrics
                     // Always process executions, even if empty
@@ -449,14 +612,17 @@ onmessage = async function(e) {
                             jobId: data.jobId,
                             executions: enhancedExecutions,
                             metrics: processedData,
-                            hasRoi: hasRoi
+                            hasRoi: hasRoi,
+                            partial: fetched.partial,
+                            partialReason: fetched.error
                         },
                         summary: {
                             jobId: data.jobId,
                             count: execCount,
                             duration: fetchDuration,
                             dateRange: dateRange,
-                            hasRoi: hasRoi
+                            hasRoi: hasRoi,
+                            partial: fetched.partial
                         }
                     });
                     
@@ -476,7 +642,115 @@ onmessage = async function(e) {
                     });
                 }
                 break;
+
+            case 'fetchProjectExecutions':
+                // Handler for one paginated stream of every project execution, split by job
+                workerMetrics.requestsProcessed++;
+                const bulkStartTime = performance.now();
+                workerMetrics.status = 'processing';
                 
+                try {
+                    log('fetchProjectExecutions', `Starting project-wide fetch for ${(data.jobIds || []).length} jobs`, {
+                        dateRange: data.dateRange
+                    });
+                    
+                    const fetched = await fetchExecutions(null, data.dateRange);
+                    // Incomplete results would be cached as complete for every job; let each job fetch its own
+                    if (fetched.partial) {
+                        throw new Error(`Project-wide fetch incomplete: ${fetched.error}`);
+                    }
+                    const projectExecutions = fetched.executions;
+                    workerMetrics.executionsProcessed += projectExecutions.length;
+                    
+                    // Every requested job gets an entry, so jobs without runs are cached as empty
+                    const executionsByJob = {};
+                    (data.jobIds || []).forEach(jobId => {
+                        executionsByJob[jobId] = [];
+                    });
+                    projectExecutions.forEach(exec => {
+                        const jobId = exec.job?.id;
+                        if (jobId && executionsByJob[jobId]) {
+                            executionsByJob[jobId].push(exec);
+                        }
+                    });
+                    
+                    // Match the per-job response: flag ROI jobs and tag each execution with its job
+                    Object.keys(executionsByJob).forEach(jobId => {
+                        const jobExecutions = executionsByJob[jobId];
+                        const hasRoi = jobExecutions.some(exec =>
+                            exec.roiHours !== undefined && exec.roiHours !== null);
+                        executionsByJob[jobId] = jobExecutions.map(exec => ({
+                            ...exec,
+                            hasRoi: hasRoi,
+                            jobId: jobId
+                        }));
+                    });
+                    
+                    const bulkDuration = performance.now() - bulkStartTime;
+                    workerMetrics.lastProcessingTime = bulkDuration;
+                    workerMetrics.totalProcessingTime += bulkDuration;
+                    workerMetrics.status = 'idle';
+                    
+                    postMessage({
+                        type: 'projectExecutionsFetched',
+                        requestId: id,
+                        results: {
+                            executionsByJob,
+                            total: projectExecutions.length,
+                            dateRange: data.dateRange
+                        }
+                    });
+                } catch (bulkError) {
+                    workerMetrics.errors++;
+                    workerMetrics.status = 'error';
+                    workerMetrics.lastError = {
+                        time: Date.now(),
+                        message: bulkError.message
+                    };
+                    
+                    logError('fetchProjectExecutions', bulkError);
+                    postMessage({
+                        type: 'error',
+                        requestId: id,
+                        error: bulkError.message
+                    });
+                }
+                break;
+
+            case 'processExecutions':
+                // Handler for computing metrics over executions the main thread already holds (e.g. from cache)
+                workerMetrics.requestsProcessed++;
+                const processStartTime = performance.now();
+                const executionsToProcess = data.executions || [];
+
+                workerMetrics.executionsProcessed += executionsToProcess.length;
+                const jobMetrics = processExecutionData(executionsToProcess);
+
+                const processDuration = performance.now() - processStartTime;
+                workerMetrics.lastProcessingTime = processDuration;
+                workerMetrics.totalProcessingTime += processDuration;
+
+                postMessage({
+                    type: 'executionsProcessed',
+                    requestId: id,
+                    results: {
+                        jobId: data.jobId,
+                        metrics: jobMetrics
+                    }
+                });
+                break;
+
+            case 'calculateDurationStats':
+                // Handler for project-wide percentiles over the durations of every job
+                workerMetrics.requestsProcessed++;
+
+                postMessage({
+                    type: 'durationStatsCalculated',
+                    requestId: id,
+                    results: ExecutionStats.calculateDurationStats(data.durations)
+                });
+                break;
+
             default:
                 log('unknownMessage', `Received unknown message type: ${type}`);
                 postMessage({
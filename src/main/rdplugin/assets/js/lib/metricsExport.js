@@ -0,0 +1,87 @@
+function MetricsExport () {
+  /**
+   * Escape a single CSV field, quoting it when it contains separators, quotes or newlines
+   * and prefixing text that a spreadsheet would read as a formula
+   * @param value
+   * @returns {string}
+   */
+  function _csvField (value) {
+    if (value === null || value === undefined) {
+      return ''
+    }
+    var text = String(value)
+    // Spreadsheets run text starting with these as a formula; numbers are left alone
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = "'" + text
+    }
+    if (/[",\r\n]/.test(text)) {
+      return '"' + text.replace(/"/g, '""') + '"'
+    }
+    return text
+  }
+
+  /**
+   * Build CSV text from a list of rows
+   * @param columns list of {key, label}
+   * @param rows list of objects keyed by column key
+   * @returns {string}
+   */
+  this.toCsv = function (columns, rows) {
+    var lines = [columns.map(column => _csvField(column.label)).join(',')]
+    rows.forEach(function (row) {
+      lines.push(columns.map(column => _csvField(row[column.key])).join(','))
+    })
+    return lines.join('\r\n') + '\r\n'
+  }
+
+  /**
+   * Trigger a browser download of the given content
+   * @param filename
+   * @param content
+   * @param mimeType
+   */
+  this.download = function (filename, content, mimeType) {
+    var blob = new Blob([content], { type: mimeType })
+    var url = URL.createObjectURL(blob)
+    var link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  }
+
+  /**
+   * Download rows as CSV or JSON
+   * CSV repeats the metadata on every row so the file stays a single flat table;
+   * JSON keeps it once at the top level
+   * @param baseName file name without extension
+   * @param format 'csv' or 'json'
+   * @param metadata e.g. project, time window, generation timestamp
+   * @param columns list of {key, label}
+   * @param rows list of objects keyed by column key
+   */
+  this.exportRows = function (baseName, format, metadata, columns, rows) {
+    if (format === 'json') {
+      var payload = Object.assign({}, metadata, { rows: rows })
+      this.download(
+        baseName + '.json',
+        JSON.stringify(payload, null, 2),
+        'application/json'
+      )
+      return
+    }
+
+    var metadataColumns = Object.keys(metadata).map(key => ({
+      key: key,
+      label: key
+    }))
+    var csvRows = rows.map(row => Object.assign({}, metadata, row))
+    this.download(
+      baseName + '.csv',
+      this.toCsv(metadataColumns.concat(columns), csvRows),
+      'text/csv;charset=utf-8'
+    )
+  }
+}